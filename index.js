@@ -10,9 +10,10 @@
 // process.env.DEBUG = 'template:template';
 
 var _ = require('lodash');
+var fs = require('fs');
 var path = require('path');
+var async = require('async');
 var util = require('util');
-var chalk = require('chalk');
 var forOwn = require('for-own');
 var id = require('uniqueid');
 var Cache = require('config-cache');
@@ -22,7 +23,13 @@ var Parsers = require('parser-cache');
 var Loader = require('load-templates');
 var Layouts = require('layouts');
 var Delims = require('delims');
+var TemplateRenderError = require('./lib/error');
+var helperLoader = require('./lib/load-helpers');
+var merge = require('./lib/merge');
+var regions = require('./lib/regions');
+var stages = require('./lib/stages');
 var utils = require('./lib/utils');
+var lookupKeys = require('./lib/lookup-keys');
 var debug = require('./lib/debug');
 var extend = _.extend;
 var hasOwn = utils.hasOwn;
@@ -53,6 +60,7 @@ var Template = module.exports = Cache.extend({
 });
 
 Template.extend = Cache.extend;
+Template.TemplateRenderError = TemplateRenderError;
 
 
 /**
@@ -72,6 +80,7 @@ Template.prototype.init = function() {
   this.templateType.renderable = [];
   this.templateType.layout = [];
   this.layoutSettings = {};
+  this.typeOptions = {};
 
   this.defaultConfig();
   this.defaultOptions();
@@ -96,6 +105,16 @@ Template.prototype.defaultConfig = function() {
     bindFunctions: true,
     thisArg: this
   });
+  this._.helperErrors = {};
+  this._.helperSources = {};
+  this._.middleware = {};
+  this._.compiled = {};
+  this._.dependencies = {};
+  this._.files = {};
+  this._.renderStack = [];
+  this._.contextStack = [];
+  this._.renderModes = [];
+  this._.changed = [];
 
   this.set('mixins', {});
   this.set('locals', {});
@@ -128,13 +147,24 @@ Template.prototype.defaultOptions = function() {
   this.option('layoutTag', 'body');
   this.option('layoutDelims', ['{%', '%}']);
   this.option('layout', null);
+  this.option('layoutRules', null);
+  this.option('layoutEngines', false);
+  this.option('missingLayout', 'error');
 
   this.option('preprocess', true);
+  this.option('concurrency', 10);
+  this.option('timeout', null);
+  this.option('cacheCompiled', true);
   this.option('preferLocals', false);
+  this.option('preferHelperLocals', true);
   this.option('partialLayout', null);
+  this.option('missing', 'throw');
+  this.option('maxPartialDepth', 50);
   this.option('mergePartials', true);
   this.option('mergeFunction', extend);
+  this.option('mergeStrategy', 'shallow');
   this.option('bindHelpers', true);
+  this.option('helperConflicts', null);
 
   this.option('defaultParsers', true);
   this.option('defaultEngines', true);
@@ -207,22 +237,60 @@ Template.prototype.defaultTemplates = function() {
 
 
 /**
- * Load default helpers.
+ * Load default helpers. A helper is added for each template type,
+ * e.g. `partial`, to render a template of that type with the given
+ * locals. The context of the partial is, lowest precedence first:
+ *
+ *   - data merged from all partials (see `mergePartials`)
+ *   - global data
+ *   - front matter and locals of the layouts of the partial
+ *   - locals of the partial, then front matter of the partial
+ *     (reversed when `preferLocals` is `true`)
+ *   - locals passed to the helper
+ *
+ * When `preferHelperLocals` is `false`, locals passed to the helper
+ * are used as defaults instead, and are overridden by the locals and
+ * front matter of the partial. The cached partial is never modified.
+ *
+ * ```js
+ * template.page('home.md', '<%= partial("nav.md", {active: "home"}) %>');
+ * ```
  *
  * @api private
  */
 
 Template.prototype.defaultHelpers = function(type, plural) {
-  this.addHelper(type, function (key, locals) {
-    var partial = this.cache[plural][key];
+  this.addHelper(type, function (name, locals) {
+    var found = this.lookupPartial(plural, name);
+    var partial = found.template;
+    var key = found.key;
+    this.addDependency(_.last(this._.renderStack), 'partials', key);
+
+    if (!partial) {
+      return this.handleMissing(name, type, found.plural);
+    }
+    this.assertInclude(key);
+
     partial = this.extendLocals('partial', partial, locals);
-    return this.renderSync(partial);
+    this.resetDependencies(key);
+    return this.track(key, function () {
+      return this.renderSync(partial, extend({}, locals));
+    });
   });
+  this._.helperSources[type] = 'type';
 };
 
 
 /**
- * Automatically adds an async helper for each template type.
+ * Automatically adds an async helper for each template type, named
+ * with the type and an `Async` suffix, e.g. `partialAsync`. The
+ * partial is rendered with `.render()`, so it may use async helpers
+ * itself, and errors are passed to the callback of the render method.
+ *
+ * ```js
+ * template.page('home.md', '<%= partialAsync("nav.md", {active: "home"}) %>');
+ * template.render('home.md', function (err, content) {});
+ * ```
  *
  * @param {String} `type` The type of template.
  * @param {String} `plural` Plural form of `type`.
@@ -230,7 +298,7 @@ Template.prototype.defaultHelpers = function(type, plural) {
  */
 
 Template.prototype.defaultAsyncHelpers = function (type, plural) {
-  this.addHelperAsync(type, function (name, locals, next) {
+  this.addHelperAsync(type + 'Async', function (name, locals, next) {
     var last = _.last(arguments);
 
     debug.helper('#{async helper name}:', name);
@@ -244,28 +312,145 @@ Template.prototype.defaultAsyncHelpers = function (type, plural) {
       next = last;
     }
 
-    var partial = this.cache[plural][name];
-    if (!partial) {
-      // TODO: should this throw an error _here_?
-      console.log(chalk.red('helper {{' + type + ' "' + name + '"}} not found.'));
-      next(null, '');
-      return;
+    var found = this.lookupPartial(plural, name);
+    var partial = found.template;
+    var key = found.key;
+
+    try {
+      this.addDependency(_.last(this._.renderStack), 'partials', key);
+      if (!partial) {
+        return next(null, this.handleMissing(name, type, found.plural));
+      }
+      this.assertInclude(key);
+    } catch (err) {
+      return next(err);
     }
 
-    partial.locals = extend({}, partial.locals, locals);
+    partial = this.extendLocals('partial', partial, locals);
     debug.helper('#{async helper partial}:', partial);
 
-    this.render(partial, {}, function (err, content) {
-      debug.helper('#{async helper rendering}:', content);
-
-      if (err) {
-        next(err);
-        return;
-      }
-      next(null, content);
-      return;
+    this.resetDependencies(key);
+    this.track(key, function () {
+      this.render(partial, extend({}, locals), function (err, content) {
+        debug.helper('#{async helper rendering}:', content);
+        next(err, err ? undefined : content);
+      });
     });
   }.bind(this));
+  this._.helperSources[type + 'Async'] = 'type';
+};
+
+
+/**
+ * Handle a template `key` of the given `type` that was not found,
+ * using the `missing` option of the template type, or the global
+ * `missing` option:
+ *
+ *   - `throw` (default): throw an error
+ *   - `warn`: emit a `warning` event and render an empty string
+ *   - `placeholder`: render a marker, e.g. `<!-- missing partial: nav.md -->`
+ *   - a function: called with the `key` and an object with the `type`
+ *     and `plural` of the template. The returned string is rendered
+ *     in place of the missing template.
+ *
+ * This applies to partial helpers, and to `.render()` when the
+ * `lookup` option is defined. Otherwise, strings passed to `.render()`
+ * that are not the key of a cached template are rendered as content.
+ *
+ * ```js
+ * template.option('missing', 'placeholder');
+ * template.create('snippet', 'snippets', {missing: 'warn'});
+ * ```
+ *
+ * @param  {String} `key`
+ * @param  {String} `type` e.g. `partial`
+ * @param  {String} `plural` e.g. `partials`
+ * @return {String}
+ * @api private
+ */
+
+Template.prototype.handleMissing = function(key, type, plural) {
+  var opts = this.typeOptions[plural] || {};
+  var policy = opts.missing != null ? opts.missing : this.option('missing');
+  var name = type[0].toUpperCase() + type.slice(1);
+
+  var err = new Error(name + ' "' + key + '" was not found.');
+  err.code = 'ENOENT';
+  err.key = key;
+  err.type = type;
+
+  if (typeof policy === 'function') {
+    var res = policy.call(this, key, {type: type, plural: plural});
+    return res == null ? '' : String(res);
+  }
+
+  switch (policy || 'throw') {
+    case 'throw':
+      throw err;
+    case 'warn':
+      this.emit('warning', err);
+      return '';
+    case 'placeholder':
+      return '<!-- missing ' + type + ': ' + key + ' -->';
+    default:
+      throw new Error('Unknown missing template policy: "' + policy + '".');
+  }
+};
+
+
+/**
+ * Get the cached template with the given `key` from the template type
+ * with the given `plural` name. When `plural` is `true`, renderable
+ * templates and then partials are searched, as with `.render()`.
+ * Returns `null` when it's not found.
+ *
+ * @param  {String} `key`
+ * @param  {String|Boolean} `plural` e.g. `pages`
+ * @return {Object}
+ * @api private
+ */
+
+Template.prototype.lookupTemplate = function(key, plural) {
+  if (plural === true) {
+    return utils.pickCached(key, this) || utils.pickPartial(key, this);
+  }
+  var cache = this.cache[plural] || {};
+  return hasOwn(cache, key) ? cache[key] : null;
+};
+
+
+/**
+ * Find the partial `name` for the helper of the given `plural` type.
+ * Names may be qualified with the plural form of another partial
+ * type, e.g. `snippets:sidebar`, to use a partial of that type.
+ *
+ * ```js
+ * template.create('snippet', 'snippets');
+ * template.snippet('sidebar', '<aside></aside>');
+ * template.page('home', '<%= partial("snippets:sidebar") %>');
+ * ```
+ *
+ * @param  {String} `plural` The plural form of the helper's type.
+ * @param  {String} `name`
+ * @return {Object} Object with `plural`, `key` and `template` properties.
+ * @api private
+ */
+
+Template.prototype.lookupPartial = function(plural, name) {
+  var key = String(name);
+  var i = key.indexOf(':');
+
+  if (i !== -1 && this.templateType.partial.indexOf(key.slice(0, i)) !== -1) {
+    plural = key.slice(0, i);
+    key = key.slice(i + 1);
+  }
+
+  var cache = this.cache[plural] || {};
+  return {
+    plural: plural,
+    key: key,
+    template: hasOwn(cache, key) ? cache[key] : null
+  };
 };
 
 
@@ -300,11 +485,13 @@ Template.prototype.lazyLayouts = function(ext, options) {
  *
  * @param  {String} `ext` The layout settings to use.
  * @param  {Object} `file` Template object, with `content` property.
+ * @param  {Object} `locals`
+ * @param  {String} `key` The name of the template to use in error messages.
  * @return  {String} Either the string wrapped with a layout, or the original string if no layout was defined.
  * @api private
  */
 
-Template.prototype.applyLayout = function(ext, template, locals) {
+Template.prototype.applyLayout = function(ext, template, locals, key) {
   debug.layout('#{lazyLayouts} ext: %s', ext);
 
   var layoutEngine = this.layoutSettings[ext];
@@ -319,14 +506,454 @@ Template.prototype.applyLayout = function(ext, template, locals) {
       opts.defaultLayout = false;
     }
 
-    var layout = utils.pickLayout(template, locals, true);
-    var result = layoutEngine.render(obj.content, layout, opts);
-    return result.content;
+    var stack = template.options.layoutStack || this.layoutStack(ext, template, locals, key);
+    template.options.layoutStack = stack;
+
+    // layouts are rendered with their own engines after the page
+    if (this.option('layoutEngines')) {
+      return obj.content;
+    }
+
+    var page = regions.extract(obj.content, layoutEngine.options.delims);
+    if (stack.length === 0) {
+      return page.content;
+    }
+
+    var result = layoutEngine.render(page.content, _.last(stack), opts);
+    return regions.insert(result.content, this.layoutRegions(layoutEngine, stack, locals, page.regions));
   }
   return obj.content;
 };
 
 
+/**
+ * Get the content for the named regions in a `stack` of layouts.
+ * Regions defined on the `regions` property of the front matter of
+ * inner layouts override outer layouts, and are overridden by the
+ * `regions` on the context of the page and by region blocks in the
+ * content of the page.
+ *
+ * ```html
+ * ---
+ * regions:
+ *   head: <link rel="stylesheet" href="home.css">
+ * ---
+ * {% region "sidebar" %}<nav></nav>{% endregion %}
+ * ```
+ *
+ * Layouts insert regions with `{% region "sidebar" %}`, or with
+ * `{% region "sidebar" %}default{% endregion %}` to define the
+ * content to use when no content is defined for the region.
+ *
+ * @param  {Object} `layoutEngine` The layout settings to use.
+ * @param  {Array} `stack` Names of the layouts, outermost first.
+ * @param  {Object} `locals` The context of the page.
+ * @param  {Object} `blocks` Region blocks from the content of the page.
+ * @return {Object}
+ * @api private
+ */
+
+Template.prototype.layoutRegions = function(layoutEngine, stack, locals, blocks) {
+  var res = {};
+  stack.forEach(function (name) {
+    var layout = this.findLayout(layoutEngine, name) || {};
+    extend(res, layout.locals && layout.locals.regions, layout.data && layout.data.regions);
+  }, this);
+  return extend(res, locals && locals.regions, blocks);
+};
+
+
+/**
+ * Get the layout `name` from the given layout settings. When the
+ * `layoutEngines` option is enabled, layouts with other extensions
+ * may be used as well.
+ *
+ * @param  {Object} `layoutEngine` The layout settings to use.
+ * @param  {String} `name`
+ * @return {Object}
+ * @api private
+ */
+
+Template.prototype.findLayout = function(layoutEngine, name) {
+  var layout = layoutEngine.getLayout(name);
+  if (!layout && this.option('layoutEngines')) {
+    layout = utils.pickCached(name, this, 'layout');
+  }
+  return layout || null;
+};
+
+
+/**
+ * When the `layoutEngines` option is enabled, render each layout that
+ * wraps the rendered `content` of a page with the engine for the
+ * extension of the layout, innermost layout first. The rendered
+ * content is inserted where the `layoutTag` is used in each layout,
+ * and region blocks in the rendered page are inserted last.
+ *
+ * ```js
+ * template.option('layoutEngines', true);
+ * template.layout('base.hbs', '<title>{{upper title}}</title>{% body %}');
+ * template.page('home.md', '---\nlayout: base.hbs\n---\n<%= title %>');
+ * ```
+ *
+ * @param  {Object} `pre` Object returned by `.preprocess()`.
+ * @param  {String} `content` The rendered page.
+ * @param  {Boolean} `sync` Use the `renderSync` method of engines.
+ * @param  {Function} `cb`
+ * @api private
+ */
+
+Template.prototype.renderLayouts = function(pre, content, sync, cb) {
+  var opts = (pre.template && pre.template.options) || {};
+  var stack = opts.layoutStack || [];
+  var self = this;
+
+  if (!this.option('layoutEngines') || stack.length === 0) {
+    return cb.call(this, null, content);
+  }
+
+  var layoutEngine = this.layoutSettings[pre.ext];
+  var page = regions.extract(content, layoutEngine.options.delims);
+  var layouts = stack.slice().reverse();
+
+  async.reduce(layouts, page.content, function (inner, name, next) {
+    self.renderLayout(pre, name, inner, sync, next);
+  }, function (err, res) {
+    if (err) return cb.call(self, err);
+
+    var values = self.layoutRegions(layoutEngine, stack, pre.locals, page.regions);
+    cb.call(self, null, regions.insert(res, values));
+  });
+};
+
+
+/**
+ * Render the layout `name` with its own engine, and insert the
+ * rendered `inner` content.
+ *
+ * @param  {Object} `pre` Object returned by `.preprocess()`.
+ * @param  {String} `name` The name of the layout.
+ * @param  {String} `inner` Rendered content to insert.
+ * @param  {Boolean} `sync` Use the `renderSync` method of the engine.
+ * @param  {Function} `cb`
+ * @api private
+ */
+
+Template.prototype.renderLayout = function(pre, name, inner, sync, cb) {
+  var layout = utils.pickCached(name, this, 'layout');
+  var ext = utils.pickExt(layout, layout.options, this);
+  var engine = this.getEngine(ext);
+  var settings = this.layoutSettings[ext] || this.layoutSettings[pre.ext];
+  var token = '__layout_body_' + this.id() + '__';
+  var self = this;
+
+  var content = regions.escape(layout.content, settings.options.delims);
+  content = content.replace(settings.makeRegex(), token);
+
+  var locals = this.mergeLayers([
+    {name: 'layout', value: extend({}, layout.locals, layout.data)},
+    {name: 'locals', value: pre.locals},
+    {name: 'delims', value: this.getDelims(ext)}
+  ], pre.template);
+
+  function done(err, res) {
+    if (!err && res instanceof Error) err = res;
+    if (err) {
+      return cb(TemplateRenderError.wrap(err, {
+        key: name,
+        template: layout,
+        ext: ext,
+        engine: ext,
+        content: layout.content
+      }));
+    }
+    cb(null, String(res).split(token).join(inner));
+  }
+
+  try {
+    if (sync) {
+      return done(null, engine.renderSync(content, locals));
+    }
+    withRenderMode(this, 'async', function () {
+      engine.render(content, locals, function (err, res) {
+        if (err) return done(err);
+        self.resolveHelpers(res, done, pre.state);
+      });
+    });
+  } catch (err) {
+    done(err);
+  }
+};
+
+
+/**
+ * Get the names of the layouts that will be applied to `template`,
+ * outermost layout first.
+ *
+ * Throws an error when the chain of layouts has a cycle, or when a
+ * layout is not found. Missing layouts emit a `warning` event instead
+ * when the `missingLayout` option is set to `warn`, and the layouts
+ * that were found are used.
+ *
+ * @param  {String} `ext` The layout settings to use.
+ * @param  {Object} `template` Template object.
+ * @param  {Object} `locals`
+ * @param  {String} `key` The name of the template to use in error messages.
+ * @return {Array}
+ * @api private
+ */
+
+Template.prototype.layoutStack = function(ext, template, locals, key) {
+  var layoutEngine = this.layoutSettings[ext];
+  if (!layoutEngine) return [];
+
+  var defaultLayout;
+  if (utils.isPartial(template)) {
+    defaultLayout = false;
+  }
+
+  key = key || template.path || 'content';
+  var name = layoutEngine.assertLayout(this.resolveLayout(template, locals).name);
+  var stack = [];
+
+  while (name) {
+    var chain = [key].concat(stack.slice().reverse(), name);
+
+    if (stack.indexOf(name) !== -1) {
+      throw layoutError('Layout cycle detected for "' + key + '": ' + chain.join(' → '), key, name, chain);
+    }
+
+    var layout = this.findLayout(layoutEngine, name);
+    if (!layout) {
+      var requestedBy = chain[chain.length - 2];
+      var err = layoutError('Layout "' + name + '" was not found, requested by "' + requestedBy
+        + '": ' + chain.join(' → '), key, name, chain);
+
+      if (this.option('missingLayout') !== 'warn') throw err;
+      this.emit('warning', err);
+      break;
+    }
+
+    stack.unshift(name);
+    name = layoutEngine.assertLayout(layout.layout || (layout.data && layout.data.layout), defaultLayout);
+  }
+  return stack;
+};
+
+
+/**
+ * Create an error for the layout `name` in the `chain` of layouts
+ * for the template `key`.
+ *
+ * @api private
+ */
+
+function layoutError(msg, key, name, chain) {
+  var err = new Error(msg + '.');
+  err.key = key;
+  err.layout = name;
+  err.chain = chain;
+  return err;
+}
+
+
+/**
+ * Get the name of the layout to use for `template`, and the `source`
+ * it was resolved from, in order of precedence:
+ *
+ *   - `front-matter`: `layout` defined in front matter
+ *   - `locals`: `layout` defined on the template's locals
+ *   - `options`: `layout` defined on the template's options, or on
+ *     the options for its template type
+ *   - `render`: `layout` defined on the `data`, `locals` or `options`
+ *     of the locals passed to the render method
+ *   - `rule`: the first rule in the `layoutRules` option with a pattern
+ *     that matches the path of the template
+ *   - `global`: the `layout` option, or the `partialLayout` option
+ *     for partials
+ *
+ * Rules and the global `layout` option are not used for layouts and
+ * partials, and layouts don't have a global default. A falsey `layout`
+ * value (e.g. `layout: false`) means that no layout is used, and stops
+ * the lookup.
+ *
+ * ```js
+ * template.create('post', 'posts', {isRenderable: true, layout: 'post.hbs'});
+ * template.create('alert', 'alerts', {layout: 'card.hbs'});
+ * template.option('layoutRules', {'docs/api/**': 'api.hbs'});
+ * template.option('layout', 'default.hbs');
+ * template.option('partialLayout', 'partial.hbs');
+ * ```
+ *
+ * @param  {Object} `template`
+ * @param  {Object} `locals`
+ * @return {Object} Object with `name` and `source` properties.
+ * @api private
+ */
+
+Template.prototype.resolveLayout = function(template, locals) {
+  var candidates = [
+    {source: 'front-matter', value: template.data},
+    {source: 'locals', value: template.locals},
+    {source: 'options', value: template.options}
+  ];
+
+  if (utils.isObject(locals)) {
+    lookupKeys.forEach(function (key) {
+      candidates.push({source: 'render', value: locals[key]});
+    });
+  }
+
+  for (var i = 0; i < candidates.length; i++) {
+    var candidate = candidates[i];
+    if (utils.isObject(candidate.value) && hasOwn(candidate.value, 'layout')) {
+      var name = candidate.value.layout;
+      if (name == null) continue;
+      return {name: name || null, source: candidate.source};
+    }
+  }
+
+  if (utils.isLayout(template)) {
+    return {name: null, source: null};
+  }
+
+  if (utils.isPartial(template)) {
+    var partialLayout = this.option('partialLayout');
+    return {name: partialLayout || null, source: partialLayout ? 'global' : null};
+  }
+
+  var rule = _.find(layoutRules(this.option('layoutRules')), function (rule) {
+    return utils.matchPath(rule.pattern, template.path);
+  });
+  if (rule) {
+    return {name: rule.layout || null, source: 'rule'};
+  }
+
+  var layout = this.option('layout');
+  if (layout) {
+    return {name: layout, source: 'global'};
+  }
+  return {name: null, source: null};
+};
+
+
+/**
+ * Normalize the `layoutRules` option to an array of objects with
+ * `pattern` and `layout` properties. Rules may be defined as an object
+ * of glob patterns and layout names, or as an array of objects, to
+ * use regular expressions for patterns.
+ *
+ * @param  {Object|Array} `rules`
+ * @return {Array}
+ * @api private
+ */
+
+function layoutRules(rules) {
+  if (Array.isArray(rules)) return rules;
+
+  var res = [];
+  forOwn(rules, function (layout, pattern) {
+    res.push({pattern: pattern, layout: layout});
+  });
+  return res;
+}
+
+
+/**
+ * Get the chain of layouts that will wrap the cached template with the
+ * given `key`, innermost layout first. Each layout in the chain has
+ * the `name` of the layout, the `template` that requested it, and the
+ * `source` the name was resolved from: `front-matter`, `locals`,
+ * `template` (options passed when the template was added), `type`
+ * (options passed to `.create()`), `render` (the given `locals`),
+ * `rule` (the `layoutRules` option) or `global` (the `layout` option).
+ *
+ * ```js
+ * template.layout('base.md', '<html>{% body %}</html>');
+ * template.layout('default.md', '---\nlayout: base.md\n---\n<main>{% body %}</main>');
+ * template.page('home.md', '---\nlayout: default.md\n---\nHome');
+ *
+ * template.getLayoutStack('home.md');
+ * //=> {key: 'home.md', layoutTag: '{% body %}', layouts: [
+ * //=>   {name: 'default.md', template: 'home.md', source: 'front-matter'},
+ * //=>   {name: 'base.md', template: 'default.md', source: 'front-matter'}
+ * //=> ]}
+ * ```
+ *
+ * @param  {String} `key` The key of a cached template.
+ * @param  {Object} `locals` Locals that would be passed to the render method.
+ * @return {Object}
+ * @api public
+ */
+
+Template.prototype.getLayoutStack = function(key, locals) {
+  var template = utils.pickCached(key, this) || utils.pickPartial(key, this);
+  if (!template) {
+    throw new Error('Template "' + key + '" was not found.');
+  }
+
+  template = this.extendLocals('render', template, locals);
+  var ctx = this.mergeFn(template, locals || {});
+  var ext = utils.pickExt(template, ctx, this);
+  var layoutEngine = this.layoutSettings[ext];
+  var res = {key: key, layouts: [], layoutTag: null};
+  if (!layoutEngine) return res;
+
+  var names = this.layoutStack(ext, template, ctx, key).reverse();
+  var requestedBy = {
+    key: key,
+    template: template,
+    type: this.typeOfKey(key, ['renderable', 'partial']),
+    locals: ctx
+  };
+
+  res.layouts = names.map(function (name) {
+    var resolved = this.resolveLayout(requestedBy.template, requestedBy.locals);
+    var source = resolved.source;
+
+    // layouts on options are either from the template or its type
+    if (source === 'options') {
+      var opts = this.typeOptions[requestedBy.type] || {};
+      source = opts.layout === resolved.name ? 'type' : 'template';
+    }
+
+    var tmpl = utils.pickCached(name, this, 'layout') || layoutEngine.getLayout(name);
+    var layout = {name: name, template: requestedBy.key, source: source};
+    requestedBy = {
+      key: name,
+      template: tmpl || {},
+      type: this.typeOfKey(name, ['layout']),
+      locals: null
+    };
+    return layout;
+  }, this);
+
+  res.layoutTag = layoutEngine.makeTag(layoutEngine.options);
+  return res;
+};
+
+
+/**
+ * Get the plural name of the first template type, of the given
+ * `types` (e.g. `renderable`), with a cached template named `key`.
+ *
+ * @param  {String} `key`
+ * @param  {Array} `types`
+ * @return {String}
+ * @api private
+ */
+
+Template.prototype.typeOfKey = function(key, types) {
+  var plurals = _.flatten(types.map(function (type) {
+    return this.templateType[type];
+  }, this));
+
+  return _.find(plurals, function (plural) {
+    return hasOwn(this.cache[plural] || {}, key);
+  }, this) || null;
+};
+
+
 /**
  * Pass custom delimiters to Lo-Dash.
  *
@@ -637,9 +1264,11 @@ Template.prototype.parse = function (template, stack, sync) {
 
   debug.parser('#{found parser stack}: ', stack);
 
+  this.handleSync('preParse', template);
   stack.forEach(function (fn) {
     this.runParser(template, fn.bind(this));
   }.bind(this));
+  this.handleSync('postParse', template);
 
   debug.parser('#{parsed} template: ', template);
   return template;
@@ -691,7 +1320,8 @@ Template.prototype._registerEngine = function (ext, fn, options) {
   debug.engine('#{register} args:', arguments);
   debug.engine('#{register} ext: %s', ext);
 
-  this._.engines.register(ext, fn, opts);
+  this._.engines.register(ext, copyEngine(fn), opts);
+  this.clearCompiled();
   if (opts.delims) {
     this.addDelims(ext, opts.delims);
     this.engines[ext].delims = this.getDelims(ext);
@@ -702,11 +1332,35 @@ Template.prototype._registerEngine = function (ext, fn, options) {
 };
 
 
+/**
+ * Copy the engine object `fn` before it's registered. [engine-cache]
+ * wraps the `render` method of the object it's given and adds a
+ * `helpers` object to it, so without a copy, every instance (and
+ * extension) that registers the same engine module would share its
+ * helpers, and `render` would be wrapped once more for each of them.
+ *
+ * @param  {Object|Function} `fn` The engine, or options.
+ * @return {Object}
+ * @api private
+ */
+
+function copyEngine(fn) {
+  if (fn && (typeof fn.render === 'function' || typeof fn.renderSync === 'function')) {
+    return extend({}, fn);
+  }
+  return fn;
+}
+
+
 /**
  * Register the given view engine callback `fn` as `ext`. If only `ext`
  * is passed, the engine registered for `ext` is returned. If no `ext`
  * is passed, the entire cache is returned.
  *
+ * Engine objects are copied when they are registered, so properties
+ * added to the engine afterwards are not seen by the registered engine.
+ * Use `.getEngine()` to get the registered engine.
+ *
  * @doc api-engine
  * @param {String} `ext`
  * @param {Function|Object} `fn` or `options`
@@ -790,47 +1444,121 @@ Template.prototype.helper = function (ext) {
 
 
 /**
- * Register helpers for the given `ext` (engine).
+ * Register helpers for the given `ext` (engine). Pass the `name` and
+ * function of a helper, or an object of helpers. When only `ext` is
+ * passed, the helpers for the engine are returned.
+ *
+ * Helpers registered with this method are checked for conflicts with
+ * other helpers (see the `helperConflicts` option). Helpers added to the
+ * returned object directly are not checked.
  *
  * ```js
- * engine.helpers(require('handlebars-helpers'));
+ * template.helpers('hbs', require('handlebars-helpers'));
+ * template.helpers('hbs', 'lower', function (str) {
+ *   return str.toLowerCase();
+ * });
  * ```
  *
  * @param {String} `ext` The engine to register helpers with.
+ * @param {String|Object} `name` The name of the helper, or an object of helpers.
+ * @param {Function} `fn` The helper function.
  * @return {Object} Object of helpers for the specified engine.
  * @api public
  */
 
-Template.prototype.helpers = function (ext) {
+Template.prototype.helpers = function (ext, name, fn) {
   debug.helper('#{helpers} ext: %s', ext);
-  var engine = this.getEngine(ext);
-  return engine.helpers;
+  return this.addEngineHelpers(ext, name, fn, false);
 };
 
 
 /**
- * Get and set _generic_ helpers on the `cache`. Helpers registered
- * using this method will be passed to every engine, so be sure to use
- * generic javascript functions - unless you want to see Lo-Dash
- * blow up from `Handlebars.SafeString`.
+ * Register async helpers for the given `ext` (engine), like
+ * `.helpers()`.
  *
- * @param {String} `name` The helper to cache or get.
+ * ```js
+ * template.helpersAsync('hbs', 'fetch', function (url, next) {
+ *   request(url, next);
+ * });
+ * ```
+ *
+ * @param {String} `ext` The engine to register helpers with.
+ * @param {String|Object} `name` The name of the helper, or an object of helpers.
  * @param {Function} `fn` The helper function.
- * @param {Object} `thisArg` Context to bind to the helper.
  * @return {Object} Object of helpers for the specified engine.
  * @api public
  */
 
-Template.prototype.addHelper = function (name, fn, thisArg) {
-  debug.helper('#{adding helper} name: %s', name);
-  return this._.helpers.addHelper(name, fn, thisArg);
+Template.prototype.helpersAsync = function (ext, name, fn) {
+  debug.helper('#{helpersAsync} ext: %s', ext);
+  return this.addEngineHelpers(ext, name, fn, true);
 };
 
 
 /**
- * Async version of `.addHelper()`.
+ * Register the helper `name` or an object of helpers for the engine
+ * `ext`, after checking them for conflicts.
  *
- * @param {String} `name` The helper to cache or get.
+ * @param {String} `ext`
+ * @param {String|Object} `name`
+ * @param {Function} `fn`
+ * @param {Boolean} `async`
+ * @return {Object} Object of helpers for the specified engine.
+ * @api private
+ */
+
+Template.prototype.addEngineHelpers = function (ext, name, fn, async) {
+  var helpers = this.getEngine(ext).helpers;
+  if (name == null) return helpers;
+
+  var obj = name;
+  if (typeof name === 'string') {
+    obj = {};
+    obj[name] = fn;
+  }
+
+  ext = _.findKey(this.engines, function (engine) {
+    return engine.helpers === helpers;
+  });
+
+  forOwn(obj, function (value, key) {
+    this.checkHelper(key, ext, async);
+    helpers[async ? 'addHelperAsync' : 'addHelper'](key, value);
+  }, this);
+  return helpers;
+};
+
+
+/**
+ * Get and set _generic_ helpers on the `cache`. Helpers registered
+ * using this method will be passed to every engine, so be sure to use
+ * generic javascript functions - unless you want to see Lo-Dash
+ * blow up from `Handlebars.SafeString`.
+ *
+ * @param {String} `name` The helper to cache or get.
+ * @param {Function} `fn` The helper function.
+ * @param {Object} `thisArg` Context to bind to the helper.
+ * @return {Object} Object of helpers for the specified engine.
+ * @api public
+ */
+
+Template.prototype.addHelper = function (name, fn, thisArg) {
+  debug.helper('#{adding helper} name: %s', name);
+  if (typeof name !== 'string') {
+    return this._.helpers.addHelper(_.mapValues(name, function (value, key) {
+      this.checkHelper(key);
+      return this.wrapHelper(key, value);
+    }, this), null, thisArg);
+  }
+  this.checkHelper(name);
+  return this._.helpers.addHelper(name, this.wrapHelper(name, fn), thisArg);
+};
+
+
+/**
+ * Async version of `.addHelper()`.
+ *
+ * @param {String} `name` The helper to cache or get.
  * @param {Function} `fn` The helper function.
  * @param {Object} `thisArg` Context to bind to the helper.
  * @return {Object} Object of helpers for the specified engine.
@@ -839,416 +1567,2342 @@ Template.prototype.addHelper = function (name, fn, thisArg) {
 
 Template.prototype.addHelperAsync = function (name, fn, thisArg) {
   debug.helper('#{adding async helper} name: %s', name);
-  return this._.helpers.addHelperAsync(name, fn, thisArg);
+  if (typeof name !== 'string') {
+    forOwn(name, function (value, key) {
+      this.addHelperAsync(key, value, thisArg);
+    }, this);
+    return this._.helpers;
+  }
+  this.checkHelper(name, null, true);
+  return this._.helpers.addHelperAsync(name, this.wrapHelperAsync(name, fn), thisArg);
 };
 
 
 /**
- * Keeps track of custom view types, so we can pass them properly to
- * registered engines.
+ * Register the helpers exported by files matching glob `patterns`, by
+ * named modules, or on an object of helpers. Modules that export a
+ * function are named after the file, e.g. `relative-url.js` is
+ * registered as `relativeUrl`, and functions on exported objects are
+ * named after their key.
+ *
+ * Helpers are async when the module exports `async: true`, when the
+ * function has an `async: true` property, or when the `async` option
+ * is defined. Async helpers take a callback as the last argument. The
+ * name and the number of parameters of a function are not used, since
+ * sync helpers like `isAsync(a, b)` can't be told apart from async ones.
  *
- * @param {String} `plural`
- * @param {Object} `opts`
- * @api private
+ * ```js
+ * template.loadHelpers('helpers/*.js');
+ * template.loadHelpers('handlebars-helpers', {ext: '.hbs'});
+ * template.loadHelpers(require('./lib/strings'), {namespace: 'str'});
+ * //=> `strUpper`, `strLower`, ...
+ * ```
+ *
+ * @param {String|Array|Object} `patterns` Glob patterns, file paths,
+ *   module names or an object of helpers.
+ * @param {Object} `options`
+ *   @option {String} [options] `cwd` Directory to resolve patterns from.
+ *   @option {String} [options] `namespace` Prefix for the name of each helper.
+ *   @option {String} [options] `ext` Register the helpers for this engine
+ *   only, instead of as generic helpers.
+ *   @option {Boolean} [options] `async` Register every helper as async.
+ * @return {Object} `Template` to enable chaining.
+ * @api public
  */
 
-Template.prototype.trackType = function (plural, options) {
-  debug.template('#{tracking type}: %s, %s', plural);
+Template.prototype.loadHelpers = function (patterns, options) {
   var opts = extend({}, options);
-  var type = this.templateType;
 
-  if (opts.isRenderable) {
-    type.renderable.push(plural);
+  helperLoader.load(patterns, opts).forEach(function (helper) {
+    debug.helper('#{loading helper} name: %s', helper.name);
+
+    if (opts.ext) {
+      this.addEngineHelpers(opts.ext, helper.name, helper.fn, helper.async);
+    } else {
+      this[helper.async ? 'addHelperAsync' : 'addHelper'](helper.name, helper.fn);
+    }
+  }, this);
+  return this;
+};
+
+
+/**
+ * List the helpers that are available to the engine for `ext`, or to
+ * all engines when no `ext` is passed. Each helper is an object with
+ * the following properties:
+ *
+ *   - `name`: the name of the helper
+ *   - `async`: true for async helpers
+ *   - `source`: `generic` for helpers added with `.addHelper()` or
+ *     `.addHelperAsync()`, `type` for the helpers created for each
+ *     template type, `engine` for helpers added with `.helpers(ext)`,
+ *     or `template` for helpers defined on the locals or front matter
+ *     of a cached template
+ *   - `engines`: extensions of the engines that use the helper
+ *   - `shadowed`: true when the helper is not used, since a generic
+ *     helper with the same name takes precedence
+ *   - `template`: the key of the template, for `template` helpers
+ *
+ * Helpers defined on a template take precedence over all other helpers
+ * while that template is rendered. Helpers passed on the locals of a
+ * render method are not listed.
+ *
+ * ```js
+ * template.listHelpers('.hbs');
+ * //=> [{name: 'link', async: false, source: 'generic', engines: ['.hbs'], shadowed: false}, ...]
+ * ```
+ *
+ * @param {String} `ext` The engine to list helpers for.
+ * @return {Array}
+ * @api public
+ */
+
+Template.prototype.listHelpers = function (ext) {
+  var engines = ext ? [utils.formatExt(ext)] : Object.keys(this.engines);
+  var generic = this._.helpers;
+  var list = [];
+
+  forOwn(generic, function (fn, name) {
+    list.push({
+      name: name,
+      async: hasOwn(generic._.helpersAsync, name),
+      source: this._.helperSources[name] || 'generic',
+      engines: engines.slice(),
+      shadowed: false
+    });
+  }, this);
+
+  engines.forEach(function (engineExt) {
+    var helpers = this.engines[engineExt] && this.engines[engineExt].helpers;
+    forOwn(helpers, function (fn, name) {
+      list.push({
+        name: name,
+        async: hasOwn(helpers._.helpersAsync, name),
+        source: 'engine',
+        engines: [engineExt],
+        shadowed: hasOwn(generic, name)
+      });
+    });
+  }, this);
+
+  this.templateType.renderable.concat(this.templateType.partial).forEach(function (plural) {
+    forOwn(this.cache[plural], function (value, key) {
+      var templateExt = utils.pickExt(value, value.locals, this);
+      if (ext && engines.indexOf(templateExt) === -1) return;
+
+      var helpers = extend({}, value.data && value.data.helpers, value.locals && value.locals.helpers);
+      forOwn(helpers, function (fn, name) {
+        if (typeof fn !== 'function') return;
+        list.push({
+          name: name,
+          async: false,
+          source: 'template',
+          engines: [templateExt],
+          shadowed: false,
+          template: key
+        });
+      });
+    }, this);
+  }, this);
+
+  return _.sortBy(list, 'name');
+};
+
+
+/**
+ * Report when registering the helper `name` shadows an existing helper,
+ * or when the helper is shadowed by an existing generic helper, using
+ * the `helperConflicts` option:
+ *
+ *   - `warn`: emit a `warning` event for each conflict
+ *   - `throw`: throw an error for the first conflict, before the
+ *     helper is registered
+ *
+ * Generic helpers take precedence over helpers registered for an
+ * engine with the same name.
+ *
+ * @param {String} `name` The name of the helper.
+ * @param {String} `ext` The engine the helper is registered for, or
+ *   `null` for generic helpers.
+ * @param {Boolean} `async`
+ * @api private
+ */
+
+Template.prototype.checkHelper = function (name, ext, async) {
+  var generic = this._.helpers;
+  var policy = this.option('helperConflicts');
+
+  if (policy) {
+    this.findHelperConflicts(name, ext).forEach(function (msg) {
+      var err = new Error(msg);
+      err.helper = name;
+      err.engine = ext || null;
+      if (policy === 'throw') throw err;
+      this.emit('warning', err);
+    }, this);
   }
-  if (opts.isLayout) {
-    type.layout.push(plural);
+
+  // a sync helper replaces an async helper with the same name
+  var helpers = ext ? this.engines[ext].helpers : generic;
+  if (!async) delete helpers._.helpersAsync[name];
+  if (!ext) this._.helperSources[name] = 'generic';
+};
+
+
+/**
+ * Get messages for the conflicts of the helper `name` that is about
+ * to be registered for the engine `ext`, or as a generic helper.
+ *
+ * @param {String} `name` The name of the helper.
+ * @param {String} `ext`
+ * @return {Array}
+ * @api private
+ */
+
+Template.prototype.findHelperConflicts = function (name, ext) {
+  var generic = this._.helpers;
+  var desc = ext ? 'Helper "' + name + '" for engine "' + ext + '"' : 'Generic helper "' + name + '"';
+  var conflicts = [];
+
+  if (ext) {
+    if (hasOwn(this.engines[ext].helpers, name)) {
+      conflicts.push(desc + ' shadows the existing helper for engine "' + ext + '".');
+    }
+    if (hasOwn(generic, name)) {
+      conflicts.push(desc + ' is shadowed by the generic helper.');
+    }
+    return conflicts;
   }
-  if (opts.isPartial || (!opts.isRenderable && !opts.isLayout)) {
-    type.partial.push(plural);
+
+  if (hasOwn(generic, name)) {
+    conflicts.push(desc + ' shadows the existing generic helper.');
   }
-  return type;
+  forOwn(this.engines, function (engine, engineExt) {
+    if (engine.helpers && hasOwn(engine.helpers, name)) {
+      conflicts.push(desc + ' shadows the helper for engine "' + engineExt + '".');
+    }
+  });
+  return conflicts;
 };
 
 
 /**
- * Get all cached templates of the given `plural` type.
+ * Wrap a generic helper so that a returned Promise is resolved
+ * along with async helpers, after the engine has rendered. Throws
+ * an error naming the helper when it returns a Promise while
+ * rendering with `.renderSync()`.
+ *
+ * @param {String} `name` The name of the helper.
+ * @param {Function} `fn` The helper function.
+ * @return {Function}
+ * @api private
+ */
+
+Template.prototype.wrapHelper = function (name, fn) {
+  var self = this;
+
+  return function () {
+    var res = fn.apply(this, arguments);
+    if (!utils.isPromise(res)) {
+      return res;
+    }
+
+    // the outermost render can't wait for the promise
+    if (self._.renderModes[0] === 'sync') {
+      var err = new Error('Helper "' + name + '" returned a Promise, which can\'t be resolved by `.renderSync()`. Use `.render()` or `.renderAsync()` instead.');
+      err.helper = name;
+      throw err;
+    }
+
+    var ctx = self.renderContext();
+    var waiting = self._.helpers._.waiting;
+    var id = '__promise_helper_id__' + self.id();
+    waiting.push({id: id, key: name, args: [res], fn: function (promise, next) {
+      promise.then(function (val) {
+        self.track(null, function () {
+          next(null, val);
+        }, ctx);
+      }, function (err) {
+        self.track(null, function () {
+          next(null, self.helperError(name, err));
+        }, ctx);
+      });
+    }});
+    return id;
+  };
+};
+
+
+/**
+ * Wrap an async helper so that it may either call the callback or
+ * return a Promise. Errors are exchanged for a placeholder, since
+ * [helper-cache] does not pass them on, and are picked up again by
+ * `.resolveHelpers()`. The render context from when the helper was
+ * called is restored while the callback runs.
+ *
+ * @param {String} `name` The name of the helper.
+ * @param {Function} `fn` The helper function.
+ * @return {Function}
+ * @api private
+ */
+
+Template.prototype.wrapHelperAsync = function (name, fn) {
+  var self = this;
+
+  return function () {
+    var args = [].slice.call(arguments);
+    var next = args.pop();
+    var ctx = self.renderContext();
+    var called = false;
+
+    function done(err, val) {
+      if (called) return;
+      called = true;
+      self.track(null, function () {
+        next(null, err ? self.helperError(name, err) : val);
+      }, ctx);
+    }
+
+    try {
+      var res = fn.apply(this, args.concat(done));
+      if (utils.isPromise(res)) {
+        res.then(function (val) {
+          done(null, val);
+        }, done);
+      }
+    } catch (err) {
+      done(err);
+    }
+  };
+};
+
+
+/**
+ * Store an error thrown by a helper and return the placeholder
+ * that is rendered in its place.
+ *
+ * @param {String} `name` The name of the helper.
+ * @param {Error} `err`
+ * @return {String}
+ * @api private
+ */
+
+Template.prototype.helperError = function (name, err) {
+  var id = '__helper_error_id__' + this.id();
+  if (!(err instanceof Error)) {
+    err = new Error(String(err));
+  }
+  err.helper = err.helper || name;
+  this._.helperErrors[id] = err;
+  return id;
+};
+
+
+/**
+ * Resolve async helpers in rendered `content`, then call `cb` with
+ * the first error that a helper produced, if any. When a render
+ * `state` is passed, the async helpers used in `content` are tracked
+ * on `state.helpers` so that they can be aborted.
+ *
+ * @param {String} `content` Rendered content.
+ * @param {Function} `cb`
+ * @param {Object} `state` Render state created by `.render()`.
+ * @api private
+ */
+
+Template.prototype.resolveHelpers = function (content, cb, state) {
+  var errors = this._.helperErrors;
+  var ids = [];
+
+  var helpers = this._.helpers._.waiting.filter(function (helper) {
+    return helper.fn && utils.isString(content) && content.indexOf(helper.id) !== -1;
+  });
+
+  helpers.forEach(function (helper) {
+    collectErrors(this, helper, ids);
+    if (state) trackHelper(this, helper, state);
+  }, this);
+
+  if (state) state.helpers = helpers;
+
+  this._.helpers.resolve(content, function (err, res) {
+    var found = ids.filter(function (id) {
+      return hasOwn(errors, id);
+    }).map(function (id) {
+      var error = errors[id];
+      delete errors[id];
+      return error;
+    });
+
+    if (err) return cb.call(this, err);
+    if (found.length) return cb.call(this, found[0]);
+    cb.call(this, null, res);
+  }.bind(this));
+};
+
+
+/**
+ * Wrap the function of a queued async `helper` to collect the ids
+ * of the errors it produces, so that they are reported even when
+ * the placeholder does not make it into the rendered content.
+ *
+ * @api private
+ */
+
+function collectErrors(template, helper, ids) {
+  var fn = helper.fn;
+
+  helper.fn = function () {
+    var args = [].slice.call(arguments);
+    var next = args.pop();
+    args.push(function (err, res) {
+      if (utils.isString(res) && hasOwn(template._.helperErrors, res)) {
+        ids.push(res);
+      }
+      next.apply(this, arguments);
+    });
+    return fn.apply(this, args);
+  };
+}
+
+
+/**
+ * Wrap the function of a queued async `helper` to record when
+ * it is started and when it is done. The helper is called with the
+ * render stack and context of the template that used it, so that async
+ * partial helpers know which templates include them.
+ *
+ * @api private
+ */
+
+function trackHelper(template, helper, state) {
+  var stack = (state.stack || []).concat(state.key);
+  var fn = helper.fn;
+
+  helper.fn = function () {
+    var args = [].slice.call(arguments);
+    var next = args.pop();
+    helper.started = true;
+    args.push(function () {
+      helper.done = true;
+      next.apply(this, arguments);
+    });
+
+    var prev = template._.renderStack;
+    var contexts = template._.contextStack;
+    template._.renderStack = stack.slice();
+    template._.contextStack = state.context ? [state.context] : [];
+    try {
+      return fn.apply(this, args);
+    } finally {
+      template._.renderStack = prev;
+      template._.contextStack = contexts;
+    }
+  };
+}
+
+
+/**
+ * Abort the render with the given `state`: async helpers that were
+ * not called yet are skipped, and an error naming the template and
+ * the helpers that were started but did not call back is returned.
+ * The names of the helpers that were skipped are on `err.queued`.
+ *
+ * @param {Object} `state` Render state created by `.render()`.
+ * @param {String} `reason` Either `timeout` or `abort`.
+ * @return {Error}
+ * @api private
+ */
+
+Template.prototype.abortRender = function (state, reason) {
+  state.aborted = true;
+
+  var queued = (state.helpers || []).filter(function (helper) {
+    if (!helper.started) helper.fn = null;
+    return !helper.started;
+  });
+
+  var pending = (state.helpers || []).filter(function (helper) {
+    return helper.started && !helper.done;
+  });
+
+  var helpers = _.uniq(_.pluck(pending, 'key'));
+  var msg = 'Rendering "' + state.key + '" ';
+  msg += reason === 'timeout'
+    ? 'timed out after ' + state.timeout + 'ms'
+    : 'was aborted';
+
+  if (helpers.length) {
+    msg += ', waiting for helper' + (helpers.length > 1 ? 's ' : ' ');
+    msg += helpers.map(function (name) {
+      return '"' + name + '"';
+    }).join(', ');
+  }
+
+  var err = new Error(msg + '.');
+  err.code = reason === 'timeout' ? 'ETIMEDOUT' : 'ABORT_ERR';
+  err.key = state.key;
+  err.helper = helpers[0];
+  err.helpers = helpers;
+  err.queued = _.uniq(_.pluck(queued, 'key'));
+  return err;
+};
+
+
+/**
+ * Register middleware `fn` for the given `stage` of the load and
+ * render lifecycle. If a `pattern` (regex or glob) is passed, the
+ * middleware only runs for templates with a matching `path`.
+ *
+ * Middleware is called with the template object, and may modify its
+ * `content` and `locals`. Take a `next` callback as the second
+ * argument, or return a Promise, to do something async.
  *
  * ```js
- * var pages = template.getType('renderable');
- * //=> { pages: { 'home.hbs': { ... }, 'about.hbs': { ... }}, posts: { ... }}
+ * template.addMiddleware('preRender', /\.md$/, function (file) {
+ *   file.locals.title = file.locals.title.toUpperCase();
+ * });
  *
- * var partials = template.getType('partial');
+ * template.addMiddleware('postRender', 'docs/**', function (file, next) {
+ *   file.content = file.content.trim();
+ *   next();
+ * });
  * ```
  *
- * @param {String} `plural`
- * @param {Object} `opts`
- * @api private
+ * Stages are `onLoad`, `preParse`, `postParse`, `preLayout`, `postLayout`,
+ * `preRender` and `postRender`. Loading and parsing is sync, so async
+ * middleware must only be used for the layout and render stages,
+ * with an async render method.
+ *
+ * @param {String} `stage` The name of the stage.
+ * @param {RegExp|String} `pattern` Optional regex or glob to match against `template.path`.
+ * @param {Function} `fn` The middleware function.
+ * @return {Object} `Template` to enable chaining.
+ * @api public
  */
 
-Template.prototype.getType = function (type) {
-  var arr = this.templateType[type];
+Template.prototype.addMiddleware = function (stage, pattern, fn) {
+  debug.template('#{adding middleware} stage: %s', stage);
 
-  return arr.reduce(function (acc, key) {
-    acc[key] = this.cache[key];
-    return acc;
-  }.bind(this), {});
+  if (typeof pattern === 'function') {
+    fn = pattern;
+    pattern = null;
+  }
+
+  if (stages.indexOf(stage) === -1) {
+    throw new Error('Unknown middleware stage: "' + stage + '".');
+  }
+  if (typeof fn !== 'function') {
+    throw new TypeError('Middleware for "' + stage + '" must be a function.');
+  }
+
+  var stack = this._.middleware[stage] || (this._.middleware[stage] = []);
+  stack.push({pattern: pattern, fn: fn});
+  return this;
 };
 
 
 /**
- * Add a new template `type`, along with associated get/set methods.
- * You must specify both the singular and plural names for the type.
+ * Create a method for each middleware stage, e.g. `template.preRender()`.
  *
- * @param {String} `type` Singular name of the type to create, e.g. `page`.
- * @param {String} `plural` Plural name of the template type, e.g. `pages`.
- * @param {Object} `options` Options for the template type.
- *   @option {Boolean} [options] `isRenderable` Is the template a partial view?
- *   @option {Boolean} [options] `layout` Can the template be used as a layout?
- *   @option {Boolean} [options] `partial` Can the template be used as a partial?
+ * ```js
+ * template.onLoad(/\.hbs$/, function (file) {
+ *   file.data.hbs = true;
+ * });
+ * ```
+ *
+ * @param {RegExp|String} `pattern` Optional regex or glob to match against `template.path`.
+ * @param {Function} `fn` The middleware function.
  * @return {Object} `Template` to enable chaining.
  * @api public
  */
 
-Template.prototype.create = function(type, plural, options) {
-  debug.template('#{creating template}: %s, %s', type, plural);
+stages.forEach(function (stage) {
+  Template.prototype[stage] = function (pattern, fn) {
+    return this.addMiddleware(stage, pattern, fn);
+  };
+});
+
+
+/**
+ * Run the middleware registered for `stage` on `template`, in the
+ * order it was registered.
+ *
+ * @param {String} `stage` The name of the stage.
+ * @param {Object} `template` The template object.
+ * @param {Function} `cb`
+ * @api private
+ */
+
+Template.prototype.handle = function (stage, template, cb) {
+  var filepath = template && template.path;
+  var stack = (this._.middleware[stage] || []).filter(function (middleware) {
+    return utils.matchPath(middleware.pattern, filepath);
+  });
+
+  var self = this;
+  var i = 0;
+
+  function next(err) {
+    if (err) return cb.call(self, err);
+
+    var middleware = stack[i++];
+    if (!middleware) return cb.call(self, null, template);
+
+    var fn = middleware.fn;
+    var called = false;
+    var done = function (err) {
+      if (called) return;
+      called = true;
+      next(err);
+    };
+
+    var res;
+    try {
+      res = fn.length > 1 ? fn.call(self, template, done) : fn.call(self, template);
+    } catch (err) {
+      return done(err);
+    }
+
+    if (fn.length > 1) return;
+    if (utils.isPromise(res)) {
+      return res.then(function () {
+        done();
+      }, done);
+    }
+    done();
+  }
+  next();
+};
+
+
+/**
+ * Sync version of `.handle()`. Throws an error when middleware
+ * for `stage` does not complete synchronously.
+ *
+ * @param {String} `stage` The name of the stage.
+ * @param {Object} `template` The template object.
+ * @return {Object} The template object.
+ * @api private
+ */
+
+Template.prototype.handleSync = function (stage, template) {
+  return utils.runSync(this.handle.bind(this, stage, template), stage);
+};
+
+
+/**
+ * Run the middleware for a render `stage` with the current `content`
+ * and `locals` exposed on the template object, and pass the (possibly
+ * modified) `content` and `locals` to the callback. The cached
+ * template's own `content` and `locals` are left as they were.
+ *
+ * @param {String} `stage` The name of the stage.
+ * @param {Object} `template` The template object.
+ * @param {String} `content`
+ * @param {Object} `locals`
+ * @param {Function} `cb`
+ * @api private
+ */
+
+Template.prototype.handleRender = function (stage, template, content, locals, cb) {
+  var file = utils.isObject(template) ? template : {};
+  var own = {content: file.content, locals: file.locals};
+
+  file.content = content;
+  file.locals = locals;
+
+  this.handle(stage, file, function (err) {
+    var res = {content: file.content, locals: file.locals};
+    file.content = own.content;
+    file.locals = own.locals;
+
+    if (err) return cb.call(this, err);
+    cb.call(this, null, res);
+  });
+};
+
+
+/**
+ * Sync version of `.handleRender()`.
+ *
+ * @api private
+ */
+
+Template.prototype.handleRenderSync = function (stage, template, content, locals) {
+  return utils.runSync(this.handleRender.bind(this, stage, template, content, locals), stage);
+};
+
+
+/**
+ * Keeps track of custom view types, so we can pass them properly to
+ * registered engines.
+ *
+ * @param {String} `plural`
+ * @param {Object} `opts`
+ * @api private
+ */
+
+Template.prototype.trackType = function (plural, options) {
+  debug.template('#{tracking type}: %s, %s', plural);
+  var opts = extend({}, options);
+  var type = this.templateType;
+  this.typeOptions[plural] = opts;
+
+  if (opts.isRenderable) {
+    type.renderable.push(plural);
+  }
+  if (opts.isLayout) {
+    type.layout.push(plural);
+  }
+  if (opts.isPartial || (!opts.isRenderable && !opts.isLayout)) {
+    type.partial.push(plural);
+  }
+  return type;
+};
+
+
+/**
+ * Get all cached templates of the given `plural` type.
+ *
+ * ```js
+ * var pages = template.getType('renderable');
+ * //=> { pages: { 'home.hbs': { ... }, 'about.hbs': { ... }}, posts: { ... }}
+ *
+ * var partials = template.getType('partial');
+ * ```
+ *
+ * @param {String} `plural`
+ * @param {Object} `opts`
+ * @api private
+ */
+
+Template.prototype.getType = function (type) {
+  var arr = this.templateType[type];
+
+  return arr.reduce(function (acc, key) {
+    acc[key] = this.cache[key];
+    return acc;
+  }.bind(this), {});
+};
+
+
+/**
+ * Add a new template `type`, along with associated get/set methods.
+ * You must specify both the singular and plural names for the type.
+ *
+ * @param {String} `type` Singular name of the type to create, e.g. `page`.
+ * @param {String} `plural` Plural name of the template type, e.g. `pages`.
+ * @param {Object} `options` Options for the template type.
+ *   @option {Boolean} [options] `isRenderable` Is the template a partial view?
+ *   @option {Boolean} [options] `layout` Can the template be used as a layout?
+ *   @option {Boolean} [options] `partial` Can the template be used as a partial?
+ * @return {Object} `Template` to enable chaining.
+ * @api public
+ */
+
+Template.prototype.create = function(type, plural, options) {
+  debug.template('#{creating template}: %s, %s', type, plural);
+
+  if (typeof plural !== 'string') {
+    throw new Error('A plural form must be defined for: "' + type + '".');
+  }
+
+  options = extend({}, options);
+  if (!options.isRenderable && !options.isLayout) {
+    options.isPartial = true;
+  }
+
+  this.cache[plural] = this.cache[plural] || {};
+  this.trackType(plural, options);
+
+  Template.prototype[type] = function (key, value, locals, opt) {
+    debug.template('#{creating template type}:', type);
+    this[plural].apply(this, arguments);
+  };
+
+  Template.prototype[plural] = function (key, value, locals, opt) {
+    debug.template('#{creating template plural}:', plural);
+    this.load(plural, options).apply(this, arguments);
+  };
+
+  // Create `get` method => e.g. `template.getPartial()`
+  var name = type[0].toUpperCase() + type.slice(1);
+  Template.prototype['get' + name] = function (key) {
+    return this.cache[plural][key];
+  };
+
+  if (!hasOwn(this._.helpers, type)) {
+    this.defaultHelpers(type, plural);
+  }
+
+  if (!hasOwn(this._.helpers, type + 'Async')) {
+    this.defaultAsyncHelpers(type, plural);
+  }
+  return this;
+};
+
+
+/**
+ * Load templates and normalize them to an object with consistent
+ * properties.
+ *
+ * See [load-templates] for more details.
+ *
+ * @param {String|Array|Object}
+ * @return {Object}
+ */
+
+Template.prototype.load = function (plural, options) {
+  debug.template('#{load} args:', arguments);
+
+  var opts = extend({}, this.options, options);
+  var loader = new Loader(opts);
+  var readFn = loader.readFn;
+  var read = [];
+
+  // record the files that are read, so that `.invalidate()` knows
+  // which templates can be re-loaded from disk
+  loader.readFn = function (filepath) {
+    read.push(path.resolve(filepath));
+    return readFn.apply(this, arguments);
+  };
+
+  var files = this._.files[plural] = this._.files[plural] || {};
+
+  return function (key, value, locals) {
+    read = [];
+    var loaded = loader.load.apply(loader, arguments);
+    var template = this.normalize(loaded, options);
+
+    forOwn(template, function (value, key) {
+      this.handleSync('onLoad', value);
+      this.clearCompiled(key);
+      if (value.path && read.indexOf(path.resolve(value.path)) !== -1) {
+        files[key] = true;
+      } else {
+        delete files[key];
+      }
+    }, this);
+
+    if (this.templateType.partial.indexOf(plural) !== -1) {
+      this.checkPartials(plural, template);
+    }
+
+    extend(this.cache[plural], template);
+    return this;
+  };
+};
+
+
+/**
+ * Emit a `warning` event for each partial in `templates` that has the
+ * same name as a partial of another partial type. When `mergePartials`
+ * is true, partials of all types are merged onto the same object, so
+ * one partial overrides the other.
+ *
+ * @param  {String} `plural` The type of the loaded partials.
+ * @param  {Object} `templates`
+ * @api private
+ */
+
+Template.prototype.checkPartials = function (plural, templates) {
+  this.templateType.partial.forEach(function (type) {
+    if (type === plural) return;
+
+    forOwn(templates, function (value, key) {
+      if (!hasOwn(this.cache[type], key)) return;
+
+      var err = new Error('Partial "' + key + '" in "' + plural + '" has the same name as a partial in "'
+        + type + '". Use "' + plural + ':' + key + '" or "' + type + ':' + key + '" to select one.');
+      err.key = key;
+      err.types = [type, plural];
+      this.emit('warning', err);
+    }, this);
+  }, this);
+};
+
+
+/**
+ * Normalize a template object to ensure it has the necessary
+ * properties to be rendered by the current renderer.
+ *
+ * @param  {Object} `template` The template object to normalize.
+ * @param  {Object} `options` Options to pass to the renderer.
+ *     @option {Function} `renameKey` Override the default function for renaming
+ *             the key of normalized template objects.
+ * @return {Object} Normalized template.
+ */
+
+Template.prototype.normalize = function (template, options) {
+  debug.template('#{normalize} args:', arguments);
+
+  if (this.option('normalize')) {
+    return this.options.normalize.apply(this, arguments);
+  }
+
+  var renameKey = this.option('renameKey');
+
+  forOwn(template, function (value, key) {
+    value.options = extend({}, options, value.options);
+    key = renameKey.call(this, key);
+
+    var ext = utils.pickExt(value, value.options, this);
+    this.lazyLayouts(ext, value.options);
+
+    var isLayout = utils.isLayout(value);
+    utils.pickLayout(value);
+
+    var stack = this.getParsers(ext, true);
+    if (stack) {
+      var parsed = this.parse(value, stack);
+      if (parsed) {
+        value = parsed;
+      }
+    }
+
+    template[key] = value;
+
+    if (isLayout) {
+      // region tags are replaced after the layouts are rendered
+      var delims = this.layoutSettings[ext].options.delims;
+      this.layoutSettings[ext].setLayout(_.mapValues(template, function (value) {
+        return extend({}, value, {content: regions.escape(value.content, delims)});
+      }));
+    }
+  }, this);
+  return template;
+};
+
+
+/**
+ * Temporarily cache a template that was passed directly to the [render]
+ * method.
+ *
+ * See [load-templates] for details on template formatting.
+ *
+ * @param  {String|Object|Function} `key`
+ * @param  {Object} `value`
+ * @param  {Object} `locals`
+ * @return {Object} Normalized template object.
+ */
+
+Template.prototype.format = function (key, value, locals) {
+  debug.template('#{format} args:', arguments);
+
+  // Temporarily load a template onto the cache to normalize it.
+  var load = this.load('anonymous', { isRenderable: true });
+  load.apply(this, arguments);
+
+  // Get the normalized template and return it.
+  var template = this.cache['anonymous'][key];
+  return this.extendLocals('render', template, locals);
+};
+
+
+/**
+ * Get partials from the cache. More specifically, all templates with
+ * a `templateType` of `partial` defined. If `options.mergePartials` is `true`,
+ * templates of all partial types will be merged onto the `partials` object.
+ * Otherwise each custom partial type is kept on its own object, named
+ * with the plural form of the type, e.g. `snippets`. This is useful
+ * when necessary for the engine being used.
+ *
+ * @api private
+ */
+
+Template.prototype.mergePartials = function (ext, locals, combine) {
+  debug.template('#{merging partials} args:', arguments);
+
+  combine = combine || this.option('mergePartials');
+  var opts = extend({partials: {}}, locals);
+
+  // this.cache.partials  = extend({}, this.cache.partials, opts.partials);
+
+  this.templateType['partial'].forEach(function (type) {
+    if (!combine) {
+      opts[type] = extend({}, opts[type]);
+    }
+
+    forOwn(this.cache[type], function (value, key) {
+      // apply layouts to a copy, so the cached partial is not modified
+      var partial = this.extendLocals('partial', value);
+      partial.content = this.applyLayout(utils.pickExt(value, value.locals, this), partial, value.locals, key);
+      opts = this.mergeLayers([
+        {name: 'locals', value: opts},
+        {name: 'template.data', value: value.data},
+        {name: 'template.locals', value: value.locals}
+      ], value);
+      if (combine) {
+        opts.partials[key] = partial.content;
+      } else {
+        opts[type][key] = partial.content;
+      }
+    }.bind(this));
+  }.bind(this));
+  return opts;
+};
+
+
+/**
+ * Preprocess `str` with the given `options` and `callback`. A few
+ * things to note.
+ *
+ * When a callback is passed, `preLayout` and `postLayout` middleware
+ * may be async. Otherwise the result is returned.
+ *
+ * @param  {Object|String} `file` String or normalized template object.
+ * @param  {Object} `locals` Locals to pass to registered view engines.
+ * @param  {Object} `options`
+ *   @option {String|Boolean} [options] `lookup` Get the template `key` from the cache of the template type with this plural name, or from any type when `true`. The `missing` policy applies when it's not found.
+ * @param  {Function} `cb`
+ * @return {Object}
+ * @api public
+ */
+
+Template.prototype.preprocess = function (template, locals, options, cb) {
+  var args = [].slice.call(arguments, 1);
+  cb = typeof _.last(args) === 'function' ? args.pop() : null;
+  locals = args[0];
+  options = args[1] || {};
+
+  if (typeof cb !== 'function') {
+    return utils.runSync(this.preprocess.bind(this, template, locals, options), 'preprocess');
+  }
+
+  locals = locals || {};
+  var self = this;
+  var engine = locals.engine;
+  var delims = locals.delims;
+  var content = template;
+  var name = utils.isString(template) ? template : null;
+  var tracked = _.last(this._.renderStack) || null;
+  var engineExt;
+  var settings;
+  var cacheId;
+  var tmpl;
+  var key;
+  var ext;
+
+  try {
+    if (options.lookup) {
+      tmpl = this.lookupTemplate(name, options.lookup);
+      if (!tmpl) {
+        template = this.handleMissing(name, 'template', utils.isString(options.lookup) ? options.lookup : null);
+      }
+    } else if (this.option('cache')) {
+      tmpl = utils.pickCached(template, this);
+      if (!tmpl) {
+        tmpl = utils.pickPartial(template, this);
+      }
+    }
+
+    if (tmpl) {
+      template = tmpl;
+      template = this.extendLocals('render', template, locals);
+      tracked = name;
+      this.resetDependencies(name);
+    } else {
+      key = utils.generateId();
+      template = this.format(key, template, locals);
+      name = template && template.path || key;
+    }
+
+    if (utils.isObject(template)) {
+      content = template.content;
+      locals = this.mergeFn(template, locals);
+      delims = delims || utils.pickDelims(template, locals);
+
+    } else {
+      content = template;
+    }
+
+    ext = utils.pickExt(template, locals, this);
+
+    if (delims) this.addDelims(ext, delims);
+    engineExt = ext;
+    if (utils.isString(engine)) {
+      engineExt = utils.formatExt(engine);
+      engine = this.getEngine(engineExt);
+      settings = this.getDelims(engine);
+    } else {
+      engine = this.getEngine(ext);
+      settings = this.getDelims(ext);
+    }
+
+    if (tmpl) {
+      cacheId = this.compiledId(name, template, ext, engineExt, engine, settings, locals);
+    }
+  } catch (err) {
+    return cb.call(this, err);
+  }
+
+  function done(content) {
+    try {
+      var partials = self.mergePartials(locals);
+      var layers = [
+        {name: 'locals', value: locals},
+        {name: 'partial', value: _.omit(partials, 'partials')}
+      ];
+
+      // the context of a partial, including helper locals, takes
+      // precedence over data merged from all partials
+      if (utils.isPartial(template)) layers.reverse();
+
+      locals = self.mergeLayers(layers.concat([
+        {name: 'partials', value: {partials: partials.partials}},
+        {name: 'delims', value: settings}
+      ]), template);
+    } catch (err) {
+      return cb.call(self, err);
+    }
+
+    // Ensure that `content` is a string.
+    if (utils.isObject(content)) content = content.content;
+
+    if (tracked) {
+      var opts = (template && template.options) || {};
+      var data = Object.keys(self.get('data') || {});
+      (opts.layoutStack || []).forEach(function (layout) {
+        self.addDependency(tracked, 'layouts', layout);
+      });
+      utils.referencedKeys(content, data, settings).forEach(function (prop) {
+        self.addDependency(tracked, 'data', prop);
+      });
+    }
+
+    cb.call(self, null, {
+      content: content,
+      engine: engine,
+      locals: locals,
+      key: name,
+      tracked: tracked,
+      template: template,
+      ext: ext,
+      engineExt: engineExt,
+      settings: settings,
+      cacheId: cacheId
+    });
+  }
+
+  // the layout was already applied for a compiled template
+  var compiled = cacheId && this._.compiled[cacheId];
+  if (compiled) {
+    template.options.layoutStack = compiled.layouts;
+    return done(compiled.content);
+  }
+
+  this.handleRender('preLayout', template, content, locals, function (err, res) {
+    if (err) return cb.call(self, err);
+    locals = res.locals;
+    if (utils.isObject(template)) {
+      template.content = res.content;
+    }
+
+    try {
+      // if a layout is defined, apply it now.
+      content = self.applyLayout(ext, template, locals, name);
+    } catch (err) {
+      return cb.call(self, err);
+    }
+
+    self.handleRender('postLayout', template, content, locals, function (err, res) {
+      if (err) return cb.call(self, err);
+      locals = res.locals;
+      done(res.content);
+    });
+  });
+};
+
+
+/**
+ * Get the id used to cache the compiled function for a cached
+ * template, made from the template `key`, engine, layout stack,
+ * delimiter settings and a hash of the content of the template and
+ * its layouts. Returns `null` when the template can't be cached:
+ * when `cacheCompiled` is disabled, the engine has no `compile`
+ * method, or when middleware could change the content before
+ * it's passed to the engine.
+ *
+ * @param  {String} `key`
+ * @param  {Object} `template`
+ * @param  {String} `ext` Extension to use for layouts.
+ * @param  {String} `engineExt` Extension of the engine.
+ * @param  {Object} `engine`
+ * @param  {Object} `settings` Delimiter settings for the engine.
+ * @param  {Object} `locals`
+ * @return {String|null}
+ * @api private
+ */
+
+Template.prototype.compiledId = function (key, template, ext, engineExt, engine, settings, locals) {
+  if (!this.option('cacheCompiled') || typeof engine.compile !== 'function') {
+    return null;
+  }
+
+  var filepath = template.path;
+  var middleware = this._.middleware;
+  var dynamic = ['preLayout', 'postLayout', 'preRender'].some(function (stage) {
+    return (middleware[stage] || []).some(function (obj) {
+      return utils.matchPath(obj.pattern, filepath);
+    });
+  });
+
+  if (dynamic) return null;
+
+  var layouts = this.layoutStack(ext, template, locals, key);
+  template.options.layoutStack = layouts;
+
+  var layoutEngine = this.layoutSettings[ext];
+  var contents = [template.content].concat(layouts.map(function (name) {
+    return this.findLayout(layoutEngine, name).content;
+  }, this));
+
+  var id = [key, engineExt, layouts.join('>'), _.map(settings, String).join(','), utils.hash(contents)];
+  if (locals && locals.regions) {
+    id.push(JSON.stringify(locals.regions));
+  }
+  return id.join('|');
+};
+
+
+/**
+ * Get the compiled function for the result of `.preprocess()`,
+ * compiling and caching it if necessary.
+ *
+ * Engines that support compiled templates have a `compile` method
+ * that takes the template string and the delimiter settings of the
+ * engine (`interpolate`, `evaluate` and `escape`), without any render
+ * locals, and returns a function. The function is called for each
+ * render with the context and an object with the `helpers` for the
+ * engine, like `fn(context, {helpers: helpers})`, and should return
+ * the rendered string. As with `render`, ids of async helpers in the
+ * result are resolved afterwards. Anything the engine does to the
+ * string before compiling it in `render`, such as escaping delimiters,
+ * should be done in `compile` as well.
+ *
+ * ```js
+ * var handlebars = require('handlebars');
+ * template.engine('hbs', {
+ *   compile: function (str, settings) {
+ *     return handlebars.compile(str);
+ *   },
+ *   render: ...
+ * });
+ * ```
+ *
+ * @param  {Object} `pre` Object returned by `.preprocess()`.
+ * @return {Function}
+ * @api private
+ */
+
+Template.prototype.compileTemplate = function (pre) {
+  var compiled = this._.compiled[pre.cacheId];
+
+  if (!compiled) {
+    debug.render('#{compiling} %s', pre.cacheId);
+    var opts = pre.template.options || {};
+    compiled = this._.compiled[pre.cacheId] = {
+      key: pre.key,
+      layouts: opts.layoutStack || [],
+      content: pre.content,
+      fn: pre.engine.compile(pre.content, extend({}, pre.settings))
+    };
+  }
+  return compiled.fn;
+};
+
+
+/**
+ * Call a compiled template function with `locals` and the helpers
+ * registered for the `engine`, following the calling convention
+ * described for `.compileTemplate()`.
+ *
+ * @param  {Object} `engine`
+ * @param  {Function} `fn` Compiled template function.
+ * @param  {Object} `locals`
+ * @return {String}
+ * @api private
+ */
+
+Template.prototype.renderCompiled = function (engine, fn, locals) {
+  var opts = extend({}, locals);
+  opts.helpers = extend({}, engine.helpers, opts.helpers);
+  return fn(opts, {helpers: opts.helpers});
+};
+
+
+/**
+ * Remove compiled templates from the cache. Pass the `key` of a
+ * template or layout to only remove compiled templates that use it.
+ * This is done automatically when templates are added or updated.
+ *
+ * ```js
+ * template.clearCompiled('home.md');
+ * template.clearCompiled();
+ * ```
+ *
+ * @param  {String} `key` The key of the template or layout.
+ * @return {Object} `Template` to enable chaining.
+ * @api public
+ */
+
+Template.prototype.clearCompiled = function (key) {
+  if (!key) {
+    this._.compiled = {};
+    return this;
+  }
+
+  forOwn(this._.compiled, function (compiled, id) {
+    if (compiled.key === key || compiled.layouts.indexOf(key) !== -1) {
+      delete this._.compiled[id];
+    }
+  }, this);
+  return this;
+};
+
+
+/**
+ * Create a `TemplateRenderError` for an `err` thrown while rendering
+ * the result of `.preprocess()`.
+ *
+ * @param  {Error} `err`
+ * @param  {Object} `pre` Object returned by `.preprocess()`.
+ * @return {Error}
+ * @api private
+ */
+
+Template.prototype.renderError = function (err, pre) {
+  if (!pre || !pre.template) {
+    return TemplateRenderError.wrap(err, {});
+  }
+
+  var opts = pre.template.options || {};
+  return TemplateRenderError.wrap(err, {
+    key: pre.key,
+    template: pre.template,
+    ext: pre.ext,
+    engine: pre.engineExt,
+    layouts: opts.layoutStack || [],
+    content: pre.content
+  });
+};
+
+
+/**
+ * Wrap an error from `.preprocess()`, e.g. a layout cycle or a missing
+ * layout or template, in a `TemplateRenderError` that names the
+ * template that was passed to the render method.
+ *
+ * @param  {Error} `err`
+ * @param  {String|Object} `content` The template or key passed to the render method.
+ * @return {TemplateRenderError}
+ * @api private
+ */
+
+Template.prototype.preprocessError = function (err, content) {
+  var template = utils.isObject(content) ? content : null;
+  if (utils.isString(content)) {
+    template = utils.pickCached(content, this) || utils.pickPartial(content, this);
+  }
+
+  var key = utils.isString(content) ? content : (template && template.path) || err.key;
+  return this.renderError(err, {key: key, template: template || {}});
+};
+
+
+/**
+ * Render `content` with the given `locals` and `callback`.
+ *
+ * A `timeout` in milliseconds and an AbortSignal-style `signal` may be
+ * passed on `options`, to stop waiting for async helpers that never
+ * call back. The error passed to the callback has a `code` of
+ * `ETIMEDOUT` or `ABORT_ERR`, and names the template and the helpers
+ * that were started but did not call back. Helpers that were not
+ * started yet are skipped, and listed on `err.queued`.
+ *
+ * ```js
+ * var controller = new AbortController();
+ * template.render('home.md', {}, {timeout: 5000, signal: controller.signal}, function (err, content) {
+ *   // err.helpers => ['fetch']
+ *   // err.queued => ['related']
+ * });
+ * ```
+ *
+ * @param  {Object|String} `file` String or normalized template object.
+ * @param  {Object} `locals` Locals to pass to registered view engines.
+ * @param  {Object} `options`
+ *   @option {Number} [options] `timeout` Defaults to the `timeout` option.
+ *   @option {Object} [options] `signal` Aborts the render when the `abort` event is emitted.
+ *   @option {String|Boolean} [options] `lookup` Get the template `key` from the cache of the template type with this plural name, or from any type when `true`. The `missing` policy applies when it's not found.
+ * @param  {Function} `cb`
+ * @api public
+ */
+
+Template.prototype.render = function (content, locals, options, cb) {
+  if (typeof locals === 'function') {
+    cb = locals;
+    locals = {};
+    options = {};
+  }
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  var self = this;
+  var state = {
+    key: utils.isString(content) ? content : (content && content.path) || 'content',
+    timeout: (options && options.timeout) || this.option('timeout'),
+    signal: options && options.signal,
+    stack: this._.renderStack.slice()
+  };
+
+  cb = this.cancelable(state, cb);
+  if (state.aborted) return;
+
+  if (!this.option('preprocess')) {
+    var engine = this.getEngine(this.option('viewEngine'));
+    return this.renderEngine({content: content, locals: locals, engine: engine, state: state}, cb);
+  }
+
+  this.preprocess(content, locals, {lookup: options && options.lookup}, function (err, pre) {
+    if (err) return cb.call(self, self.preprocessError(err, content));
+    if (state.aborted) return;
+
+    pre.state = state;
+    self.renderEngine(pre, cb);
+  });
+};
+
+
+/**
+ * Return a function that calls `cb` once, or calls it with an error
+ * when the render with the given `state` times out or is aborted
+ * with `state.signal`.
+ *
+ * @param  {Object} `state`
+ * @param  {Function} `cb`
+ * @return {Function}
+ * @api private
+ */
+
+Template.prototype.cancelable = function (state, cb) {
+  var signal = state.signal;
+  var finished = false;
+  var self = this;
+  var timer;
+
+  function finish(err, content) {
+    if (finished) return;
+    finished = true;
+
+    clearTimeout(timer);
+    if (signal && typeof signal.removeEventListener === 'function') {
+      signal.removeEventListener('abort', onAbort);
+    }
+    cb.call(self, err, content);
+  }
+
+  function onAbort() {
+    finish(self.abortRender(state, 'abort'));
+  }
+
+  if (signal && signal.aborted) {
+    onAbort();
+    return finish;
+  }
+
+  if (signal && typeof signal.addEventListener === 'function') {
+    signal.addEventListener('abort', onAbort);
+  }
+
+  if (state.timeout) {
+    timer = setTimeout(function () {
+      finish(self.abortRender(state, 'timeout'));
+    }, state.timeout);
+  }
+  return finish;
+};
+
+
+/**
+ * Render the result of `.preprocess()` with its engine, running
+ * `preRender` and `postRender` middleware and resolving async helpers.
+ *
+ * @param  {Object} `pre` Object returned by `.preprocess()`.
+ * @param  {Function} `cb`
+ * @api private
+ */
+
+Template.prototype.renderEngine = function (pre, cb) {
+  var contexts = this._.contextStack.slice();
+  var self = this;
+  if (pre.state && pre.key) {
+    pre.state.key = pre.key;
+  }
+
+  this.handleRender('preRender', pre.template, pre.content, pre.locals, function (err, res) {
+    if (err) return cb.call(self, self.renderError(err, pre));
+
+    function rendered(err, content) {
+      if (err) return cb.call(self, self.renderError(err, pre));
+
+      self.resolveHelpers(content, function (err, content) {
+        // async helpers call back with their own context on the stack
+        var current = self._.contextStack;
+        self._.contextStack = contexts;
+        try {
+          if (err) return cb.call(self, self.renderError(err, pre));
+
+          self.renderLayouts(pre, content, false, function (err, content) {
+            if (err) return cb.call(self, self.renderError(err, pre));
+
+            self.handleRender('postRender', pre.template, content, res.locals, function (err, res) {
+              if (err) return cb.call(self, self.renderError(err, pre));
+              cb.call(self, null, res.content);
+            });
+          });
+        } finally {
+          self._.contextStack = current;
+        }
+      }, pre.state);
+    }
+
+    var ctx = self.helperContext(pre, res.locals);
+    if (pre.state) pre.state.context = ctx;
+
+    try {
+      withRenderMode(self, 'async', function () {
+        self.track(pre.tracked, function () {
+          if (pre.cacheId) {
+            var str = self.renderCompiled(pre.engine, self.compileTemplate(pre), res.locals);
+            return pre.engine.helpers.resolve(str, rendered);
+          }
+          pre.engine.render(res.content, res.locals, rendered);
+        }, ctx);
+      });
+    } catch (err) {
+      cb.call(self, self.renderError(err, pre));
+    }
+  });
+};
+
+
+/**
+ * Render `content` with the given `locals`, returning a Promise that
+ * is resolved with the rendered string. Helpers may return Promises.
+ *
+ * ```js
+ * template.renderAsync('home.md', {title: 'Home'})
+ *   .then(function (content) {
+ *     console.log(content);
+ *   });
+ * ```
+ *
+ * @param  {Object|String} `content` String, template object or the name of a cached template.
+ * @param  {Object} `locals` Locals to pass to registered view engines.
+ * @param  {Object} `options` Supports `timeout` and `signal`, see `.render()`.
+ * @return {Promise}
+ * @api public
+ */
+
+Template.prototype.renderAsync = function (content, locals, options) {
+  var self = this;
+
+  return new Promise(function (resolve, reject) {
+    self.render(content, locals || {}, options || {}, function (err, res) {
+      if (err) return reject(err);
+      resolve(res);
+    });
+  });
+};
+
+
+/**
+ * Render `content` with the given `locals`. Throws an error when a
+ * helper returns a Promise, since it can't be waited for.
+ *
+ * @param  {Object|String} `file` String or normalized template object.
+ * @param  {Object} `options` Options to pass to registered view engines.
+ * @return {String}
+ * @api public
+ */
+
+Template.prototype.renderSync = function (content, locals) {
+  var ext = this.option('viewEngine');
+  var pre = {content: content, locals: locals, engine: this.getEngine(ext)};
+
+  if (this.option('preprocess')) {
+    try {
+      pre = this.preprocess(content, locals);
+    } catch (err) {
+      throw this.preprocessError(err, content);
+    }
+  }
+
+  var engine = pre.engine;
+  if (!pre.cacheId && !hasOwn(engine, 'renderSync')) {
+    throw new Error('`.renderSync()` method not found on engine: "' + engine + '".');
+  }
+
+  var res;
+  try {
+    var before = this.handleRenderSync('preRender', pre.template, pre.content, pre.locals);
+    res = withRenderMode(this, 'sync', function () {
+      return this.track(pre.tracked, function () {
+        if (pre.cacheId) {
+          return this.renderCompiled(engine, this.compileTemplate(pre), before.locals);
+        }
+        return engine.renderSync(before.content, before.locals);
+      }, this.helperContext(pre, before.locals));
+    });
+  } catch (err) {
+    throw this.renderError(err, pre);
+  }
+
+  // some engines return errors instead of throwing them
+  if (res instanceof Error) {
+    throw this.renderError(res, pre);
+  }
+
+  try {
+    res = withRenderMode(this, 'sync', function () {
+      return utils.runSync(this.renderLayouts.bind(this, pre, res, true), 'renderLayouts');
+    });
+    return this.handleRenderSync('postRender', pre.template, res, before.locals).content;
+  } catch (err) {
+    throw this.renderError(err, pre);
+  }
+};
+
+
+/**
+ * Call `fn` while rendering with the given `mode`, `sync` or `async`.
+ * Helpers that return a Promise use the mode of the outermost render
+ * to decide if the Promise can be resolved, since partials rendered
+ * with `.renderSync()` during an async render are resolved along with
+ * the page.
+ *
+ * @param  {Object} `template`
+ * @param  {String} `mode`
+ * @param  {Function} `fn` Called with `template` as `this`.
+ * @return {*} The value returned by `fn`.
+ * @api private
+ */
+
+function withRenderMode(template, mode, fn) {
+  var modes = template._.renderModes;
+  modes.push(mode);
+  try {
+    return fn.call(template);
+  } finally {
+    modes.pop();
+  }
+}
+
+
+/**
+ * Render every cached template of the given renderable `plural` type,
+ * e.g. `pages`, or a custom type created with `isRenderable: true`.
+ * Results are an object with `content` (key => rendered string) and
+ * `errors` (key => error) properties. Returns a Promise when no
+ * callback is passed.
+ *
+ * ```js
+ * template.renderType('pages', {site: site}, {concurrency: 5}, function (err, res) {
+ *   // res.content => {'home.md': '...', 'about.md': '...'}
+ *   // res.errors => {}
+ * });
+ * ```
+ *
+ * @param  {String} `plural` The template type to render.
+ * @param  {Object} `locals` Locals to pass to every template.
+ * @param  {Object} `options`
+ *   @option {Number} [options] `concurrency` Maximum number of templates to render at once.
+ *   @option {Boolean} [options] `failFast` Stop at the first error and pass it to the callback.
+ *   @option {Number} [options] `timeout` Timeout for each template, see `.render()`.
+ *   @option {Object} [options] `signal` Abort every template that is not rendered yet.
+ * @param  {Function} `cb`
+ * @return {Promise|undefined}
+ * @api public
+ */
+
+Template.prototype.renderType = function (plural, locals, options, cb) {
+  var args = [].slice.call(arguments, 1);
+  if (typeof _.last(args) === 'function') {
+    cb = args.pop();
+  } else {
+    cb = null;
+  }
+
+  locals = args[0] || {};
+  options = args[1] || {};
+
+  if (!cb) {
+    return new Promise(function (resolve, reject) {
+      this.renderType(plural, locals, options, function (err, res) {
+        if (err) return reject(err);
+        resolve(res);
+      });
+    }.bind(this));
+  }
+
+  if (this.templateType.renderable.indexOf(plural) === -1) {
+    return cb.call(this, new Error('"' + plural + '" is not a renderable template type.'));
+  }
+
+  var items = Object.keys(this.cache[plural]).map(function (key) {
+    return {key: key, plural: plural};
+  });
+  this.renderKeys(items, locals, options, cb);
+};
+
+
+/**
+ * Mark templates as changed, so that `.renderChanged()` only
+ * re-renders the templates that are affected. `paths` may be the
+ * keys or source paths of cached templates, or keys of global `data`.
+ * Templates that were loaded from a file that still exists are
+ * re-loaded from disk, with the same locals.
+ *
+ * ```js
+ * template.invalidate('templates/partials/nav.md');
+ * template.renderChanged(function (err, res) {
+ *   // res.rendered => ['home.md', 'about.md']
+ * });
+ * ```
+ *
+ * @param  {String|Array} `paths` Template keys, file paths or data keys.
+ * @return {Object} `Template` to enable chaining.
+ * @api public
+ */
+
+Template.prototype.invalidate = function (paths) {
+  utils.arrayify(paths).forEach(function (filepath) {
+    var found = false;
+
+    forOwn(this.templateType, function (types) {
+      types.forEach(function (plural) {
+        forOwn(this.cache[plural], function (value, key) {
+          if (key !== filepath && !utils.isSamePath(value.path, filepath)) return;
+          found = true;
+
+          if (hasOwn(this._.files[plural] || {}, key) && fs.existsSync(value.path)) {
+            this[plural](value.path, extend({}, value.locals));
+          } else {
+            this.clearCompiled(key);
+          }
+          this.markChanged(key);
+        }, this);
+      }, this);
+    }, this);
+
+    if (!found) {
+      this.markChanged(filepath);
+    }
+  }, this);
+  return this;
+};
+
+
+/**
+ * Re-render the renderable templates that were marked as changed with
+ * `.invalidate()`, or that depend on a changed template or data key
+ * through layouts, partials or data. Templates that were never rendered
+ * are rendered as well, since their dependencies are unknown. Results
+ * are the same as `.renderType()`, with the keys that were `rendered`
+ * and the keys that were `skipped`. Returns a Promise when no callback
+ * is passed.
+ *
+ * @param  {Object} `locals` Locals to pass to every template.
+ * @param  {Object} `options` The same options as `.renderType()`.
+ * @param  {Function} `cb`
+ * @return {Promise|undefined}
+ * @api public
+ */
+
+Template.prototype.renderChanged = function (locals, options, cb) {
+  var args = [].slice.call(arguments);
+  if (typeof _.last(args) === 'function') {
+    cb = args.pop();
+  } else {
+    cb = null;
+  }
+
+  locals = args[0] || {};
+  options = args[1] || {};
+
+  if (!cb) {
+    return new Promise(function (resolve, reject) {
+      this.renderChanged(locals, options, function (err, res) {
+        if (err) return reject(err);
+        resolve(res);
+      });
+    }.bind(this));
+  }
+
+  var changed = this._.changed;
+  this._.changed = [];
+
+  var types = {};
+  this.templateType.renderable.forEach(function (plural) {
+    Object.keys(this.cache[plural]).forEach(function (key) {
+      types[key] = types[key] || plural;
+    });
+  }, this);
+
+  var renderable = Object.keys(types);
+  var keys = renderable.filter(function (key) {
+    if (!changed.length) return false;
+    if (!hasOwn(this._.dependencies, key)) return true;
+    return changed.some(function (name) {
+      return name === key || this.dependents(name).indexOf(key) !== -1;
+    }, this);
+  }, this);
+
+  var items = keys.map(function (key) {
+    return {key: key, plural: types[key]};
+  });
+
+  this.renderKeys(items, locals, options, function (err, res) {
+    res.rendered = keys;
+    res.skipped = _.difference(renderable, keys);
+    cb.call(this, err, res);
+  });
+};
+
+
+/**
+ * Add `key` to the templates that `.renderChanged()` should re-render.
+ *
+ * @param  {String} `key`
+ * @api private
+ */
+
+Template.prototype.markChanged = function (key) {
+  if (this._.changed.indexOf(key) === -1) {
+    this._.changed.push(key);
+  }
+};
+
+
+/**
+ * Render the cached templates with the given `items`, collecting the
+ * results for `.renderType()` and `.renderChanged()`. Each item is an
+ * object with the `key` of a template and the `plural` name of its type.
+ *
+ * @param  {Array} `items`
+ * @param  {Object} `locals`
+ * @param  {Object} `options`
+ * @param  {Function} `cb`
+ * @api private
+ */
+
+Template.prototype.renderKeys = function (items, locals, options, cb) {
+  var opts = extend({concurrency: this.option('concurrency')}, options);
+  var results = {content: {}, errors: {}};
+
+  async.eachLimit(items, opts.concurrency || items.length || 1, function (item, next) {
+    var key = item.key;
+    var renderOpts = {timeout: opts.timeout, signal: opts.signal, lookup: item.plural};
+
+    this.render(key, extend({}, locals), renderOpts, function (err, content) {
+      if (err) {
+        results.errors[key] = err;
+        return next(opts.failFast ? err : null);
+      }
+      results.content[key] = content;
+      next();
+    });
+  }.bind(this), function (err) {
+    cb.call(this, err || null, results);
+  }.bind(this));
+};
+
+
+/**
+ * Return a shallow copy of `template` with `locals` stored on
+ * `template._locals[key]`. The `options` and `_locals` objects are
+ * copied as well, so that rendering never modifies cached templates.
+ *
+ * @param  {String} `key`
+ * @param  {Object} `template`
+ * @param  {Object} `locals`
+ * @return {Object}
+ * @api private
+ */
+
+Template.prototype.extendLocals = function (key, template, locals) {
+  template = extend({}, template);
+  template.options = extend({}, template.options);
+  template._locals = extend({}, template._locals);
+  template._locals[key] = extend({}, template._locals[key], locals);
+  return template;
+};
+
+/**
+ * The default method used for merging data into the `locals` object
+ * as a last step before its passed to the current renderer.
+ *
+ * @param  {Object} `template`
+ * @param  {Object} `locals`
+ * @return {Object}
+ */
+
+Template.prototype.mergeFn = function (template, locals) {
+  if (this.option('mergeFn')) {
+    return this.option('mergeFn').apply(this, arguments);
+  }
+
+  return this.mergeLayers(this.contextLayers(template, locals), template);
+};
+
+
+/**
+ * Merge an array of context `layers` (lowest precedence first) using
+ * the merge strategy for `template`. The strategy is defined on the
+ * `mergeStrategy` option, and may be overridden for a template type
+ * by passing `mergeStrategy` to `.create()`.
+ *
+ * Built-in strategies are `shallow` (the default), `deep` and
+ * `concat-arrays`. A function or an object of per-key rules may also
+ * be used. Rules are `replace`, `deep`, `concat`, `union`,
+ * `prefer-front-matter`, `prefer-locals`, or a function that takes
+ * the current value, the next value and an object with the `key`,
+ * the next `layer` name and the layer the current value came `from`.
+ *
+ * ```js
+ * template.option('mergeStrategy', {
+ *   '*': 'deep',
+ *   tags: 'union',
+ *   title: 'prefer-front-matter'
+ * });
+ * ```
+ *
+ * @param  {Array} `layers` Objects with `name` and `value` properties.
+ * @param  {Object} `template`
+ * @param  {Object} `from` Updated with the layer each value came from.
+ * @return {Object}
+ * @api private
+ */
+
+Template.prototype.mergeLayers = function (layers, template, from) {
+  var opts = (template && template.options) || {};
+  var strategy = opts.mergeStrategy || this.option('mergeStrategy');
+  return merge(layers, strategy, from);
+};
 
-  if (typeof plural !== 'string') {
-    throw new Error('A plural form must be defined for: "' + type + '".');
-  }
 
-  this.cache[plural] = this.cache[plural] || {};
-  this.trackType(plural, options);
+/**
+ * Get the layers that are merged by `mergeFn` to create the context
+ * for `template`, lowest precedence first. Each layer is an object
+ * with `name` and `value` properties:
+ *
+ *   - `data`: global data, e.g. from `template.data()`
+ *   - `layout:<name>`: front matter and locals of each layout that
+ *     wraps the template, outermost layout first
+ *   - `template.data`: front matter
+ *   - `template.locals`: locals defined when the template was added.
+ *     Preferred over front matter when `preferLocals` is `true`.
+ *   - `helpers`: generic helpers and helpers defined on the template
+ *   - `locals`: locals passed to the render method, or to the helper
+ *     that renders a partial. Locals passed to partial helpers have
+ *     the lowest precedence after global data and layouts when
+ *     `preferHelperLocals` is `false`.
+ *
+ * @param  {Object} `template`
+ * @param  {Object} `locals`
+ * @return {Array}
+ * @api private
+ */
 
-  Template.prototype[type] = function (key, value, locals, opt) {
-    debug.template('#{creating template type}:', type);
-    this[plural].apply(this, arguments);
-  };
+Template.prototype.contextLayers = function (template, locals) {
+  var layers = [{name: 'data', value: this.get('data')}];
+  var own = [];
 
-  Template.prototype[plural] = function (key, value, locals, opt) {
-    debug.template('#{creating template plural}:', plural);
-    this.load(plural, options).apply(this, arguments);
-  };
+  if (utils.isObject(template)) {
+    layers = layers.concat(this.layoutLayers(template, locals));
+    own = [
+      {name: 'template.locals', value: template.locals},
+      {name: 'template.data', value: template.data}
+    ];
+    if (this.option('preferLocals') === true) {
+      own.reverse();
+    }
+  }
 
-  // Create `get` method => e.g. `template.getPartial()`
-  var name = type[0].toUpperCase() + type.slice(1);
-  Template.prototype['get' + name] = function (key) {
-    return this.cache[plural][key];
-  };
+  var o = _.defaults.apply(_, [{}].concat(_.pluck(own, 'value').reverse()));
+  var helpers = {helpers: extend({}, this._.helpers, o.helpers)};
 
-  if (!hasOwn(this._.helpers, type)) {
-    this.defaultHelpers(type, plural);
+  if (utils.isPartial(template) && this.option('preferHelperLocals') === false) {
+    return layers.concat([{name: 'locals', value: locals}], own, [
+      {name: 'helpers', value: helpers}
+    ]);
   }
 
-  // if (!hasOwn(this._.helpers, type)) {
-  //   this.defaultAsyncHelpers(type, plural);
-  // }
-  return this;
+  return layers.concat(own, [
+    {name: 'helpers', value: helpers},
+    {name: 'locals', value: locals}
+  ]);
 };
 
 
 /**
- * Load templates and normalize them to an object with consistent
- * properties.
+ * Get a context layer for each layout that wraps `template`, outermost
+ * layout first, with the locals and front matter of the layout. The
+ * `layout` and `regions` properties of layouts are not merged into the
+ * context, since they are used to build the layout stack itself.
  *
- * See [load-templates] for more details.
+ * Missing layouts and cycles are ignored here, and reported when the
+ * layouts are applied.
  *
- * @param {String|Array|Object}
- * @return {Object}
+ * @param  {Object} `template`
+ * @param  {Object} `locals`
+ * @return {Array}
+ * @api private
  */
 
-Template.prototype.load = function (plural, options) {
-  debug.template('#{load} args:', arguments);
+Template.prototype.layoutLayers = function (template, locals) {
+  var ext = utils.pickExt(template, locals, this);
+  var layoutEngine = this.layoutSettings[ext];
+  if (!layoutEngine) return [];
 
-  var opts = extend({}, this.options, options);
-  var loader = new Loader(opts);
+  var defaultLayout = utils.isPartial(template) ? false : undefined;
+  var name = layoutEngine.assertLayout(this.resolveLayout(template, locals).name);
+  var layers = [];
+  var seen = {};
 
-  return function (key, value, locals) {
-    var loaded = loader.load.apply(loader, arguments);
-    var template = this.normalize(loaded, options);
-    extend(this.cache[plural], template);
-    return this;
-  };
+  while (name && !hasOwn(seen, name)) {
+    var layout = this.findLayout(layoutEngine, name);
+    if (!layout) break;
+
+    seen[name] = true;
+    layers.unshift({
+      name: 'layout:' + name,
+      value: _.omit(extend({}, layout.locals, layout.data), ['layout', 'regions'])
+    });
+    name = layoutEngine.assertLayout(layout.layout || (layout.data && layout.data.layout), defaultLayout);
+  }
+  return layers;
 };
 
 
 /**
- * Normalize a template object to ensure it has the necessary
- * properties to be rendered by the current renderer.
+ * Explain where each top-level variable in the context for the given
+ * template comes from. Returns an object with the final `value` of each
+ * variable, merged with the merge strategy for the template, the `layer`
+ * the value came from, and the other layers that define the variable
+ * (lowest precedence first).
  *
- * @param  {Object} `template` The template object to normalize.
- * @param  {Object} `options` Options to pass to the renderer.
- *     @option {Function} `renameKey` Override the default function for renaming
- *             the key of normalized template objects.
- * @return {Object} Normalized template.
+ * ```js
+ * template.data({title: 'Site'});
+ * template.page('home.md', '---\ntitle: Home\n---\n<%= title %>');
+ *
+ * template.explainContext('home.md').title;
+ * //=> {value: 'Home', layer: 'template.data', shadowed: [{layer: 'data', value: 'Site'}]}
+ * ```
+ *
+ * Layers are `data`, `template.data`, `template.locals`, `helpers` and
+ * `locals` (see `mergeFn`), followed by `partial:<key>` for data from
+ * each partial, `partials` and `delims`. For partials, the `partial:<key>`
+ * layers come first instead. Changes made by middleware are not included.
+ *
+ * @param  {String} `key` The key of a cached template.
+ * @param  {Object} `locals` Locals that would be passed to the render method.
+ * @return {Object}
+ * @api public
  */
 
-Template.prototype.normalize = function (template, options) {
-  debug.template('#{normalize} args:', arguments);
+Template.prototype.explainContext = function (key, locals) {
+  locals = locals || {};
 
-  if (this.option('normalize')) {
-    return this.options.normalize.apply(this, arguments);
+  var template = utils.pickCached(key, this) || utils.pickPartial(key, this);
+  if (!template) {
+    throw new Error('Template "' + key + '" was not found.');
   }
 
-  var renameKey = this.option('renameKey');
+  template = this.extendLocals('render', template, locals);
+  var layers = this.contextLayers(template, locals);
+  if (this.option('mergeFn')) {
+    layers = [{name: 'mergeFn', value: this.mergeFn(template, locals)}];
+  }
 
-  forOwn(template, function (value, key) {
-    value.options = extend({}, options, value.options);
-    key = renameKey.call(this, key);
+  var ctx = this.mergeLayers(layers, template);
 
-    var ext = utils.pickExt(value, value.options, this);
-    this.lazyLayouts(ext, value.options);
+  var ext = utils.pickExt(template, ctx, this);
+  var delims = utils.isString(locals.engine)
+    ? this.getDelims(utils.formatExt(locals.engine))
+    : this.getDelims(ext);
 
-    var isLayout = utils.isLayout(value);
-    utils.pickLayout(value);
+  var partials = {};
+  var partialLayers = [];
+  this.templateType.partial.forEach(function (type) {
+    forOwn(this.cache[type], function (value, name) {
+      partialLayers.push({name: 'partial:' + name, value: extend({}, value.data, value.locals)});
+      partials[name] = value.content;
+    });
+  }, this);
 
-    var stack = this.getParsers(ext, true);
-    if (stack) {
-      var parsed = this.parse(value, stack);
-      if (parsed) {
-        value = parsed;
-      }
-    }
+  layers = utils.isPartial(template)
+    ? partialLayers.concat(layers)
+    : layers.concat(partialLayers);
 
-    template[key] = value;
+  layers.push({name: 'partials', value: {partials: extend({}, ctx.partials, partials)}});
+  layers.push({name: 'delims', value: delims});
 
-    if (isLayout) {
-      this.layoutSettings[ext].setLayout(template);
-    }
-  }, this);
-  return template;
-};
+  var from = {};
+  var res = {};
+
+  forOwn(this.mergeLayers(layers, template, from), function (value, name) {
+    var shadowed = layers.filter(function (layer) {
+      return layer.name !== from[name] && hasOwn(layer.value || {}, name);
+    });
 
+    res[name] = {value: value, layer: from[name], shadowed: shadowed.map(function (layer) {
+      return {layer: layer.name, value: layer.value[name]};
+    })};
+  });
+  return res;
+};
 
 /**
- * Temporarily cache a template that was passed directly to the [render]
- * method.
+ * Get the dependencies that were recorded the last time the template
+ * with the given `key` was rendered: the `partials` pulled in with the
+ * default partial helpers, the `layouts` that were applied, and the
+ * keys of global `data` that the template (with layouts) refers to.
  *
- * See [load-templates] for details on template formatting.
+ * ```js
+ * template.renderSync('home.md');
+ * template.dependencies('home.md');
+ * //=> {partials: ['nav.md'], layouts: ['default.md'], data: ['site']}
+ * ```
  *
- * @param  {String|Object|Function} `key`
- * @param  {Object} `value`
- * @param  {Object} `locals`
- * @return {Object} Normalized template object.
+ * Partials are only recorded when their helpers are called while the
+ * engine is rendering, which is the case for synchronous engines.
+ *
+ * Data keys are an approximation: they are found by looking for the
+ * name of each key of global `data` in the template tags of the
+ * template and its layouts, so keys that are only read by helpers,
+ * or with computed property names, are not recorded.
+ *
+ * @param  {String} `key` The key of a cached template.
+ * @return {Object}
+ * @api public
  */
 
-Template.prototype.format = function (key, value, locals) {
-  debug.template('#{format} args:', arguments);
-
-  // Temporarily load a template onto the cache to normalize it.
-  var load = this.load('anonymous', { isRenderable: true });
-  load.apply(this, arguments);
-
-  // Get the normalized template and return it.
-  var template = this.cache['anonymous'][key];
-  return this.extendLocals('render', template, locals);
+Template.prototype.dependencies = function (key) {
+  var deps = this._.dependencies[key] || {};
+  return {
+    partials: (deps.partials || []).slice(),
+    layouts: (deps.layouts || []).slice(),
+    data: (deps.data || []).slice()
+  };
 };
 
 
 /**
- * Get partials from the cache. More specifically, all templates with
- * a `templateType` of `partial` defined. If `options.mergePartials` is `true`,
- * this object will keep custom partial types seperate - otherwise, all
- * templates with the type `partials` will be merged onto the same object.
- * This is useful when necessary for the engine being used.
+ * Get the keys of the templates that depend on the given partial,
+ * layout or `data` key, directly or through other partials and
+ * layouts, based on the dependencies recorded by the last render
+ * of each template.
  *
- * @api private
+ * ```js
+ * template.dependents('nav.md');
+ * //=> ['sidebar.md', 'home.md', 'about.md']
+ * ```
+ *
+ * @param  {String} `key`
+ * @return {Array}
+ * @api public
  */
 
-Template.prototype.mergePartials = function (ext, locals, combine) {
-  debug.template('#{merging partials} args:', arguments);
+Template.prototype.dependents = function (key) {
+  var graph = this._.dependencies;
+  var res = [];
+  var queue = [key];
 
-  combine = combine || this.option('mergePartials');
-  var opts = extend({partials: {}}, locals);
+  while (queue.length) {
+    var current = queue.shift();
 
-  // this.cache.partials  = extend({}, this.cache.partials, opts.partials);
+    forOwn(graph, function (deps, name) {
+      if (!deps || name === key || res.indexOf(name) !== -1) return;
 
-  this.templateType['partial'].forEach(function (type) {
-    forOwn(this.cache[type], function (value, key) {
-      value.content = this.applyLayout(ext, value, value.locals);
-      opts = extend({}, opts, value.data, value.locals);
-      if (combine) {
-        opts.partials[key] = value.content;
-      } else {
-        opts[type][key] = value.content;
+      var found = ['partials', 'layouts', 'data'].some(function (type) {
+        return deps[type].indexOf(current) !== -1;
+      });
+
+      if (found) {
+        res.push(name);
+        queue.push(name);
       }
-    }.bind(this));
-  }.bind(this));
-  return opts;
+    });
+  }
+  return res;
 };
 
 
 /**
- * Preprocess `str` with the given `options` and `callback`. A few
- * things to note.
+ * Record that the template with the given `key` depends on `dep`.
  *
- * @param  {Object|String} `file` String or normalized template object.
- * @param  {Object} `options` Options to pass to registered view engines.
- * @return {String}
- * @api public
+ * @param  {String} `key` Key of the template being rendered.
+ * @param  {String} `type` One of `partials`, `layouts` or `data`.
+ * @param  {String} `dep`
+ * @api private
  */
 
-Template.prototype.preprocess = function (template, locals, cb) {
-  if (typeof locals === 'function') {
-    cb = locals;
-    locals = {};
-  }
-
-  locals = locals || {};
-  var engine = locals.engine;
-  var delims = locals.delims;
-  var content = template;
-  var layout;
-  var tmpl;
-  var key;
-
-  if (this.option('cache')) {
-    tmpl = utils.pickCached(template, this);
-    if (!tmpl) {
-      tmpl = utils.pickPartial(template, this);
-    }
-  }
-
-  if (tmpl) {
-    template = tmpl;
-    template = this.extendLocals('render', template, locals);
-  } else {
-    key = utils.generateId();
-    template = this.format(key, template, locals);
-  }
-
-  if (utils.isObject(template)) {
-    content = template.content;
-    locals = this.mergeFn(template, locals);
-    delims = delims || utils.pickDelims(template, locals);
+Template.prototype.addDependency = function (key, type, dep) {
+  if (!key) return;
 
-  } else {
-    content = template;
+  var deps = this._.dependencies[key] || this.resetDependencies(key);
+  if (deps[type].indexOf(dep) === -1) {
+    deps[type].push(dep);
   }
+};
 
-  var ext = utils.pickExt(template, locals, this);
-
-  // if a layout is defined, apply it now.
-  content = this.applyLayout(ext, template, locals);
-
-  if (delims) this.addDelims(ext, delims);
-  if (utils.isString(engine)) {
-    if (engine[0] !== '.') {
-      engine = '.' + engine;
-    }
-    engine = this.getEngine(engine);
-    delims = this.getDelims(engine);
-  } else {
-    engine = this.getEngine(ext);
-    delims = this.getDelims(ext);
-  }
 
-  locals = extend({}, locals, this.mergePartials(locals), delims);
+/**
+ * Clear the dependencies recorded for `key`, before it's rendered.
+ *
+ * @param  {String} `key`
+ * @return {Object} The new (empty) dependencies object.
+ * @api private
+ */
 
-  // Ensure that `content` is a string.
-  if (utils.isObject(content)) content = content.content;
-  return { content: content, engine: engine, locals: locals };
+Template.prototype.resetDependencies = function (key) {
+  return (this._.dependencies[key] = {partials: [], layouts: [], data: []});
 };
 
 
 /**
- * Render `content` with the given `options` and `callback`.
+ * Throw an error when including the partial `key` from the template
+ * that is currently rendering would create a cycle, or would exceed
+ * the `maxPartialDepth` option. The error message shows the chain of
+ * includes, e.g. `home.md → nav.md → item.md → nav.md`.
  *
- * @param  {Object|String} `file` String or normalized template object.
- * @param  {Object} `options` Options to pass to registered view engines.
- * @return {String}
- * @api public
+ * @param  {String} `key`
+ * @api private
  */
 
-Template.prototype.render = function (content, locals, cb) {
-  if (typeof locals === 'function') {
-    cb = locals;
-    locals = {};
-  }
+Template.prototype.assertInclude = function (key) {
+  var chain = this._.renderStack.filter(function (name, i, stack) {
+    return name !== stack[i - 1];
+  });
+  var root = chain[0] || key;
+  chain = chain.concat(key);
 
-  var ext = this.option('viewEngine');
-  var engine = this.getEngine(ext);
+  var err;
+  if (chain.indexOf(key) < chain.length - 1) {
+    err = new Error('Partial cycle detected for "' + root + '": ' + chain.join(' → ') + '.');
+  }
 
-  if (this.option('preprocess')) {
-    var pre = this.preprocess(content, locals);
-    content = pre.content;
-    locals = pre.locals;
-    engine = pre.engine;
+  var max = this.option('maxPartialDepth');
+  if (!err && max != null && chain.length - 1 > max) {
+    err = new Error('Partials are nested more than ' + max + ' levels deep in "' + root + '": '
+      + chain.join(' → ') + '.');
   }
 
-  try {
-    engine.render(content, locals, function (err, res) {
-      return this._.helpers.resolve(res, cb.bind(this));
-    }.bind(this));
-  } catch (err) {
-    cb(err);
+  if (err) {
+    err.key = key;
+    err.chain = chain;
+    throw err;
   }
 };
 
 
 /**
- * Render `content` with the given `locals`.
- *
- * @param  {Object|String} `file` String or normalized template object.
- * @param  {Object} `options` Options to pass to registered view engines.
- * @return {String}
- * @api public
+ * Call `fn` with `key` on top of the render stack, so that
+ * dependencies found while `fn` is running are recorded for `key`.
+ * When `ctx` is defined, it is returned by `.renderContext()` while
+ * `fn` is running.
+ *
+ * @param  {String} `key`
+ * @param  {Function} `fn`
+ * @param  {Object} `ctx` Object created by `.helperContext()`.
+ * @return {*} The value returned by `fn`.
+ * @api private
  */
 
-Template.prototype.renderSync = function (content, locals) {
-  var ext = this.option('viewEngine');
-  var engine = this.getEngine(ext);
-
-  if (this.option('preprocess')) {
-    var pre = this.preprocess(content, locals);
-    content = pre.content;
-    locals = pre.locals;
-    engine = pre.engine;
-  }
-
-  if (!hasOwn(engine, 'renderSync')) {
-    throw new Error('`.renderSync()` method not found on engine: "' + engine + '".');
-  }
+Template.prototype.track = function (key, fn, ctx) {
+  var stack = this._.renderStack;
+  var contexts = this._.contextStack;
 
+  if (key) stack.push(key);
+  if (ctx) contexts.push(ctx);
   try {
-    return engine.renderSync(content, locals);
-  } catch (err) {
-    return err;
+    return fn.call(this);
+  } finally {
+    if (ctx) contexts.pop();
+    if (key) stack.pop();
   }
 };
 
 
-Template.prototype.extendLocals = function (key, template, locals) {
-  template = extend({_locals: {}}, template);
-  template._locals[key] = extend({}, template._locals[key], locals);
-  return template;
+/**
+ * Get the context of the template that is currently being rendered,
+ * for use in helpers. Returns `null` when nothing is being rendered.
+ * The returned object has the following properties:
+ *
+ *   - `key`: the key of the template
+ *   - `path`: the path of the template
+ *   - `template`: the template object, with `data`, `locals` etc.
+ *   - `layouts`: the names of the layouts applied to the template,
+ *     outermost first
+ *   - `context`: the resolved context the template is rendered with
+ *   - `stack`: the keys of the templates that include the template,
+ *     e.g. `['home.md', 'nav.md']` for a partial included by `nav.md`
+ *   - `ext`: the extension of the template
+ *   - `engine`: the extension of the engine used to render it
+ *
+ * ```js
+ * template.addHelper('editOnGithub', function () {
+ *   var ctx = this.renderContext();
+ *   return 'https://github.com/foo/bar/edit/master/' + ctx.path;
+ * });
+ * ```
+ *
+ * Async helpers should call it before doing anything async, since
+ * other templates may be rendered by the time a timer or I/O call
+ * calls back.
+ *
+ * @return {Object}
+ * @api public
+ */
+
+Template.prototype.renderContext = function () {
+  return _.last(this._.contextStack) || null;
 };
 
+
 /**
- * The default method used for merging data into the `locals` object
- * as a last step before its passed to the current renderer.
+ * Create the object returned by `.renderContext()` for the result
+ * of `.preprocess()`, rendered with the given `locals`.
  *
- * @param  {Object} `template`
- * @param  {Object} `locals`
+ * @param  {Object} `pre` Object returned by `.preprocess()`.
+ * @param  {Object} `locals` The resolved context.
  * @return {Object}
+ * @api private
  */
 
-Template.prototype.mergeFn = function (template, locals) {
-  var data = this.get('data');
-  var o = {};
-
-  if (this.option('mergeFn')) {
-    return this.option('mergeFn').apply(this, arguments);
-  }
+Template.prototype.helperContext = function (pre, locals) {
+  var template = utils.isObject(pre.template) ? pre.template : {};
+  var opts = template.options || {};
 
-  if (utils.isObject(template)) {
-    var preference = this.option('preferLocals');
-    if (preference === true) {
-      o = _.defaults({}, o, template.locals, template.data);
-    } else {
-      o = _.defaults({}, o, template.data, template.locals);
-    }
+  var stack = this._.renderStack.filter(function (name, i, arr) {
+    return name !== arr[i - 1];
+  });
+  if (pre.tracked && _.last(stack) === pre.tracked) {
+    stack.pop();
   }
 
-  o.helpers = extend({}, this._.helpers, o.helpers);
-  return extend(data, o, locals);
+  return {
+    key: pre.tracked || pre.key || null,
+    path: template.path || null,
+    template: template,
+    layouts: (opts.layoutStack || []).slice(),
+    context: locals || {},
+    stack: stack,
+    ext: pre.ext || null,
+    engine: pre.engineExt || pre.ext || null
+  };
 };
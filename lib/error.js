@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+
+
+/**
+ * Create a new `TemplateRenderError` from the `err` thrown while
+ * rendering a template, with details about the template that failed.
+ *
+ * ```js
+ * try {
+ *   template.renderSync('home.md');
+ * } catch (err) {
+ *   console.log(err.key, err.layouts, err.line, err.column);
+ * }
+ * ```
+ *
+ * @param {Error} `err` The original error.
+ * @param {Object} `info` Details about the template being rendered.
+ *   @option {String} [info] `key` The key of the template.
+ *   @option {Object} [info] `template` The template object.
+ *   @option {String} [info] `ext` The extension picked for the template.
+ *   @option {String} [info] `engine` The extension of the engine used.
+ *   @option {Array} [info] `layouts` The layout stack that was applied.
+ *   @option {String} [info] `content` The string passed to the engine.
+ *   @option {Array} [info] `chain` The chain of layouts or partials for
+ *   cycles and missing layouts. Defaults to `err.chain`.
+ *   The name of a missing layout is kept on `err.layout`.
+ * @api public
+ */
+
+function TemplateRenderError(err, info) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, TemplateRenderError);
+  }
+
+  info = info || {};
+  var template = info.template || {};
+  var pos = position(err, template, info.content);
+
+  this.name = 'TemplateRenderError';
+  this.originalError = err;
+  this.key = info.key || null;
+  this.path = template.path || null;
+  this.ext = info.ext || null;
+  this.engine = info.engine || info.ext || null;
+  this.layouts = info.layouts || [];
+  this.chain = info.chain || err.chain || [];
+  this.layout = err.layout || null;
+  this.helper = err.helper || null;
+  this.line = pos ? pos.line : null;
+  this.column = pos ? pos.column : null;
+
+  var where = this.path || this.key;
+  if (this.line) {
+    where += ':' + this.line + ':' + this.column;
+  }
+  this.message = err.message + (where ? ' (' + where + ')' : '');
+}
+
+util.inherits(TemplateRenderError, Error);
+
+
+/**
+ * Wrap `err` in a `TemplateRenderError`, unless it already is one.
+ * Errors from nested renders (partials) keep their own details.
+ *
+ * @param {Error} `err`
+ * @param {Object} `info`
+ * @return {TemplateRenderError}
+ * @api public
+ */
+
+TemplateRenderError.wrap = function (err, info) {
+  if (err instanceof TemplateRenderError) {
+    return err;
+  }
+  if (!(err instanceof Error)) {
+    err = new Error(String(err));
+  }
+  return new TemplateRenderError(err, info);
+};
+
+
+/**
+ * Find the line and column in the original file that caused `err`.
+ * Engines that report a line (Handlebars, Swig etc.) are trusted first,
+ * otherwise the undefined variable or property named in the message
+ * is searched for in the template content. Lines are offset by any
+ * front matter that was stripped from the original file.
+ *
+ * @param {Error} `err`
+ * @param {Object} `template`
+ * @param {String} `rendered` The string that was passed to the engine.
+ * @return {Object|null} Object with `line` and `column` properties.
+ * @api private
+ */
+
+function position(err, template, rendered) {
+  var content = typeof template.content === 'string' ? template.content : null;
+  var pos = null;
+
+  if (content === null) return null;
+
+  var line = err.lineNumber || err.line || lineFromMessage(err.message);
+  if (line) {
+    pos = {line: line, column: err.column || err.columnNumber || 1};
+
+    // the engine was given the page wrapped in its layouts
+    if (typeof rendered === 'string' && rendered !== content) {
+      var start = rendered.indexOf(content);
+      if (start === -1) return null;
+      var first = lineAt(rendered, start);
+      var last = first + content.split('\n').length - 1;
+      if (pos.line < first || pos.line > last) return null;
+      pos.line = pos.line - first + 1;
+    }
+  } else {
+    var name = nameFromMessage(err.message);
+    if (!name) return null;
+    var match = new RegExp('\\b' + name + '\\b').exec(content);
+    if (!match) return null;
+    pos = {line: lineAt(content, match.index)};
+    pos.column = match.index - content.lastIndexOf('\n', match.index - 1);
+  }
+
+  pos.line += frontMatterLines(template);
+  return pos;
+}
+
+
+/**
+ * Get the number of lines preceding `content` in `template.orig`,
+ * e.g. the lines used by front matter.
+ *
+ * @api private
+ */
+
+function frontMatterLines(template) {
+  if (typeof template.orig !== 'string') return 0;
+  var idx = template.orig.indexOf(template.content);
+  if (idx <= 0) return 0;
+  return lineAt(template.orig, idx) - 1;
+}
+
+function lineAt(str, idx) {
+  return str.slice(0, idx).split('\n').length;
+}
+
+function lineFromMessage(msg) {
+  var match = /\bon line (\d+)/i.exec(msg || '');
+  return match ? Number(match[1]) : null;
+}
+
+function nameFromMessage(msg) {
+  var match = /^(\w+) is not defined/.exec(msg || '')
+    || /\(reading '(\w+)'\)/.exec(msg || '')
+    || /property '(\w+)' of/.exec(msg || '');
+  return match ? match[1] : null;
+}
+
+
+/**
+ * Expose `TemplateRenderError`
+ */
+
+module.exports = TemplateRenderError;
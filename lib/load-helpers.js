@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * Module dependencies
+ */
+
+var fs = require('fs');
+var path = require('path');
+var globby = require('globby');
+var resolve = require('resolve');
+var forOwn = require('for-own');
+var arrayify = require('arrayify-compact');
+var _ = require('lodash');
+
+
+/**
+ * Find the helpers exported by the files matching the given glob
+ * `patterns`, by named modules, or on an object of helpers. Returns
+ * an array of objects with `name`, `fn` and `async` properties.
+ *
+ * Modules that export a function are named after the file (or module),
+ * e.g. `relative-url.js` => `relativeUrl`. Functions on exported
+ * objects are named after their key.
+ *
+ * ```js
+ * loader.load('helpers/*.js', {cwd: __dirname, namespace: 'str'});
+ * loader.load({upper: function (str) {}});
+ * ```
+ *
+ * @param  {String|Array|Object|Function} `patterns`
+ * @param  {Object} `options`
+ *   @option {String} [options] `cwd` Directory to resolve patterns from.
+ *   @option {String} [options] `namespace` Prefix for the name of each helper.
+ *   @option {Boolean} [options] `async` Treat every helper as async.
+ * @return {Array}
+ * @api public
+ */
+
+exports.load = function (patterns, options) {
+  var opts = _.extend({cwd: process.cwd()}, options);
+  var res = [];
+
+  if (typeof patterns === 'function' || _.isPlainObject(patterns)) {
+    return fromExports(patterns, patterns.name, opts);
+  }
+
+  find(arrayify(patterns), opts.cwd).forEach(function (file) {
+    res = res.concat(fromExports(require(file.path), file.name, opts, file.path));
+  });
+  return res;
+};
+
+
+/**
+ * Find the files for glob `patterns`, file paths and named modules.
+ *
+ * @param  {Array} `patterns`
+ * @param  {String} `cwd`
+ * @return {Array} Objects with the `path` and `name` of each file.
+ * @api private
+ */
+
+function find(patterns, cwd) {
+  var globs = patterns.filter(isGlob);
+  var files = globby.sync(globs, {cwd: cwd}).map(function (fp) {
+    return {path: path.resolve(cwd, fp), name: basename(fp)};
+  });
+
+  return patterns.reduce(function (acc, pattern) {
+    return isGlob(pattern) ? acc : acc.concat(lookup(pattern, cwd));
+  }, files);
+}
+
+
+/**
+ * Returns true if `pattern` is a glob pattern, or a negation pattern.
+ *
+ * @api private
+ */
+
+function isGlob(pattern) {
+  return /[*?{}\[\]!]/.test(pattern);
+}
+
+
+/**
+ * Find the file for a file path or a named module. Throws an error
+ * when the file or module is not found.
+ *
+ * @param  {String} `pattern`
+ * @param  {String} `cwd`
+ * @return {Object} Object with the `path` and `name` of the file.
+ * @api private
+ */
+
+function lookup(pattern, cwd) {
+  var fp = path.resolve(cwd, pattern);
+  if (fs.existsSync(fp) && fs.statSync(fp).isFile()) {
+    return {path: fp, name: basename(fp)};
+  }
+
+  try {
+    return {path: resolve.sync(pattern, {basedir: cwd}), name: pattern.split('/').pop()};
+  } catch (err) {
+    throw new Error('Cannot find helpers: "' + pattern + '".');
+  }
+}
+
+
+/**
+ * Get the helpers from the exports of a module. An exported
+ * function is named with `name`. Throws an error naming the module
+ * at `filepath` when it exports something else than a function
+ * or an object.
+ *
+ * @api private
+ */
+
+function fromExports(exported, name, opts, filepath) {
+  if (typeof exported !== 'function' && !_.isObject(exported)) {
+    throw new Error('Helpers module "' + filepath + '" must export a function or an object.');
+  }
+
+  var res = [];
+  var async = opts.async === true || exported.async === true;
+
+  if (typeof exported === 'function') {
+    return [helper(camelcase(name), exported, async, opts)];
+  }
+
+  forOwn(exported, function (fn, key) {
+    if (typeof fn === 'function') {
+      res.push(helper(key, fn, async || fn.async === true, opts));
+    }
+  });
+  return res;
+}
+
+
+/**
+ * Create a helper object.
+ *
+ * @api private
+ */
+
+function helper(name, fn, async, opts) {
+  if (!name) {
+    throw new Error('Helpers must be named: ' + fn);
+  }
+  if (opts.namespace) {
+    name = camelcase(opts.namespace + '-' + name);
+  }
+  return {name: name, fn: fn, async: async};
+}
+
+
+/**
+ * Get the name of a file without its extension.
+ *
+ * @api private
+ */
+
+function basename(fp) {
+  return path.basename(fp, path.extname(fp));
+}
+
+
+/**
+ * Convert dashed, underscored or dotted names to camelcase,
+ * e.g. `relative-url` => `relativeUrl`.
+ *
+ * @api private
+ */
+
+function camelcase(str) {
+  return String(str).replace(/[-_.\s]+(\w)/g, function (match, ch) {
+    return ch.toUpperCase();
+  });
+}
@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+var forOwn = require('for-own');
+
+
+/**
+ * Merge an array of `layers` into a single object, using the given
+ * merge `strategy`. Layers are objects with `name` and `value`
+ * properties, lowest precedence first.
+ *
+ * A strategy may be the name of a built-in strategy (`shallow`, `deep`
+ * or `concat-arrays`), a function, or an object of per-key rules. The
+ * `*` key of a rules object defines the strategy for all other keys.
+ *
+ * When a `from` object is passed, it is updated with the name of the
+ * layer that the value of each key came from.
+ *
+ * ```js
+ * merge(layers, 'deep');
+ * merge(layers, {'*': 'deep', tags: 'union', title: 'prefer-front-matter'});
+ * ```
+ *
+ * @param  {Array} `layers`
+ * @param  {String|Function|Object} `strategy`
+ * @param  {Object} `from`
+ * @return {Object}
+ * @api public
+ */
+
+function merge(layers, strategy, from) {
+  var rules = merge.rules(strategy);
+  from = from || {};
+
+  return layers.reduce(function (acc, layer) {
+    forOwn(layer.value, function (value, key) {
+      if (!_.has(acc, key)) {
+        acc[key] = value;
+        from[key] = layer.name;
+        return;
+      }
+
+      var rule = rules[key] || rules['*'];
+      var res = rule(acc[key], value, {key: key, layer: layer.name, from: from[key]});
+      if (res !== acc[key]) {
+        from[key] = layer.name;
+      }
+      acc[key] = res;
+    });
+    return acc;
+  }, {});
+}
+
+
+/**
+ * Built-in rules for merging the values of a single key. Each rule is
+ * called with the current value, the value from the next layer, and an
+ * object with the `key`, the name of the next `layer` and the name of
+ * the layer the current value came `from`.
+ */
+
+merge.strategies = {
+  shallow: function (a, b) {
+    return b;
+  },
+  deep: function (a, b) {
+    return deepMerge(a, b, false);
+  },
+  'concat-arrays': function (a, b) {
+    return deepMerge(a, b, true);
+  },
+  concat: function (a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.concat(b);
+    }
+    return b;
+  },
+  union: function (a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return _.union(a, b);
+    }
+    return b;
+  },
+  'prefer-front-matter': prefer('template.data'),
+  'prefer-locals': prefer('template.locals')
+};
+
+merge.strategies.replace = merge.strategies.shallow;
+
+
+/**
+ * Normalize `strategy` to an object of rule functions, with
+ * a `*` rule for keys that don't have a rule.
+ *
+ * @param  {String|Function|Object} `strategy`
+ * @return {Object}
+ * @api private
+ */
+
+merge.rules = function (strategy) {
+  if (!_.isPlainObject(strategy)) {
+    strategy = {'*': strategy};
+  }
+
+  var rules = _.mapValues(strategy, lookup);
+  rules['*'] = rules['*'] || merge.strategies.shallow;
+  return rules;
+};
+
+
+/**
+ * Get the rule function for the given `name`.
+ *
+ * @api private
+ */
+
+function lookup(name) {
+  if (name == null) {
+    return merge.strategies.shallow;
+  }
+  if (typeof name === 'function') {
+    return name;
+  }
+  if (!_.has(merge.strategies, name)) {
+    throw new Error('Unknown merge strategy: "' + name + '".');
+  }
+  return merge.strategies[name];
+}
+
+
+/**
+ * Create a rule that keeps the value from the layer named `layer`.
+ *
+ * @api private
+ */
+
+function prefer(layer) {
+  return function (a, b, info) {
+    return info.from === layer ? a : b;
+  };
+}
+
+
+/**
+ * Recursively merge plain object `b` into a copy of `a`. Other
+ * values are replaced, unless `concat` is true and both values are
+ * arrays.
+ *
+ * @api private
+ */
+
+function deepMerge(a, b, concat) {
+  if (concat && Array.isArray(a) && Array.isArray(b)) {
+    return a.concat(b);
+  }
+  if (!_.isPlainObject(a) || !_.isPlainObject(b)) {
+    return b;
+  }
+
+  var res = _.extend({}, a);
+  forOwn(b, function (value, key) {
+    res[key] = _.has(res, key) ? deepMerge(res[key], value, concat) : value;
+  });
+  return res;
+}
+
+
+/**
+ * Expose `merge`
+ */
+
+module.exports = merge;
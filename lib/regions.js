@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Module dependencies
+ */
+
+var _ = require('lodash');
+
+
+/**
+ * Markers used for regions in layouts, so that region tags are
+ * not evaluated when the [layouts] library renders the layouts.
+ */
+
+var OPEN = '\u0001';
+var SEP = '\u0002';
+var CLOSE = '\u0003';
+
+
+/**
+ * Create the regexes for region tags with the given layout `delims`,
+ * e.g. `{% region "sidebar" %}` and `{% endregion %}`.
+ *
+ * @param  {Array} `delims`
+ * @return {Object}
+ * @api private
+ */
+
+function tags(delims) {
+  delims = delims || ['{%', '%}'];
+  var open = escape(delims[0]);
+  var close = escape(delims[1]);
+
+  var region = open + '\\s*region\\s+(["\'])([^"\']+)\\1\\s*' + close;
+  var endregion = open + '\\s*endregion\\s*' + close;
+
+  // the content of a block may not contain other region tags
+  var body = '((?:(?!' + open + '\\s*(?:end)?region\\b)[\\s\\S])*?)';
+
+  return {
+    block: new RegExp(region + body + endregion, 'g'),
+    region: new RegExp(region, 'g')
+  };
+}
+
+
+/**
+ * Extract region blocks from the `content` of a page:
+ *
+ * ```html
+ * {% region "sidebar" %}<nav></nav>{% endregion %}
+ * ```
+ *
+ * Returns an object with the `content` without region blocks,
+ * and the content of each region on `regions`.
+ *
+ * @param  {String} `content`
+ * @param  {Array} `delims`
+ * @return {Object}
+ * @api public
+ */
+
+exports.extract = function (content, delims) {
+  var regions = {};
+  content = content.replace(tags(delims).block, function (match, quote, name, str) {
+    regions[name] = str;
+    return '';
+  });
+  return {content: content, regions: regions};
+};
+
+
+/**
+ * Replace region tags in the `content` of a layout with markers.
+ * The content of a region block is used as the default content for
+ * the region.
+ *
+ * @param  {String} `content`
+ * @param  {Array} `delims`
+ * @return {String}
+ * @api public
+ */
+
+exports.escape = function (content, delims) {
+  if (typeof content !== 'string') return content;
+
+  var re = tags(delims);
+  return content
+    .replace(re.block, function (match, quote, name, str) {
+      return OPEN + name + SEP + str + CLOSE;
+    })
+    .replace(re.region, function (match, quote, name) {
+      return OPEN + name + SEP + CLOSE;
+    });
+};
+
+
+/**
+ * Replace region markers in rendered layouts with the given `regions`,
+ * or with the default content of each region.
+ *
+ * @param  {String} `content`
+ * @param  {Object} `regions`
+ * @return {String}
+ * @api public
+ */
+
+exports.insert = function (content, regions) {
+  if (typeof content !== 'string') return content;
+
+  regions = regions || {};
+  var re = new RegExp(OPEN + '([^' + SEP + ']*)' + SEP + '([^' + CLOSE + ']*)' + CLOSE, 'g');
+  return content.replace(re, function (match, name, str) {
+    return _.has(regions, name) && regions[name] != null ? String(regions[name]) : str;
+  });
+};
+
+
+/**
+ * Escape regex characters in `str`.
+ *
+ * @api private
+ */
+
+function escape(str) {
+  return str.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
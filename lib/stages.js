@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * Named stages of the load and render lifecycle that middleware
+ * can be registered for, in the order they run.
+ */
+
+module.exports = [
+  'onLoad',
+  'preParse',
+  'postParse',
+  'preLayout',
+  'postLayout',
+  'preRender',
+  'postRender'
+];
@@ -4,7 +4,9 @@
  * Module dependencies
  */
 
+var crypto = require('crypto');
 var path = require('path');
+var minimatch = require('minimatch');
 var typeOf = require('kind-of');
 var hasAny = require('has-any');
 var isEmpty = require('is-empty');
@@ -320,6 +322,9 @@ utils.isRenderable = function (value) {
  */
 
 utils.isPartial = function (value) {
+  if (utils.pickFrom(value, 'isPartial', lookupKeys)) {
+    return true;
+  }
   if (!utils.isLayout(value) && !utils.isRenderable(value)) {
     return true;
   }
@@ -327,6 +332,126 @@ utils.isPartial = function (value) {
 };
 
 
+/**
+ * Returns true if `filepath` matches the given regex or glob
+ * `pattern`. Every path matches when no `pattern` is given.
+ *
+ * @param  {RegExp|String} `pattern`
+ * @param  {String} `filepath`
+ * @return {Boolean}
+ * @api private
+ */
+
+utils.matchPath = function (pattern, filepath) {
+  if (!pattern) return true;
+  if (!utils.isString(filepath)) return false;
+
+  if (typeOf(pattern) === 'regexp') {
+    pattern.lastIndex = 0;
+    return pattern.test(filepath);
+  }
+  return minimatch(filepath, pattern, {matchBase: true});
+};
+
+
+/**
+ * Returns true if `a` and `b` resolve to the same file path.
+ *
+ * @param  {String} `a`
+ * @param  {String} `b`
+ * @return {Boolean}
+ * @api private
+ */
+
+utils.isSamePath = function (a, b) {
+  if (!utils.isString(a) || !utils.isString(b)) return false;
+  return path.resolve(a) === path.resolve(b);
+};
+
+
+/**
+ * Call async function `fn` with a callback and return the result,
+ * throwing an error if the callback was not called synchronously.
+ *
+ * @param  {Function} `fn` Function that takes a callback.
+ * @param  {String} `name` Name to use in the error message.
+ * @return {*}
+ * @api private
+ */
+
+utils.runSync = function (fn, name) {
+  var finished = false;
+  var error = null;
+  var result;
+
+  fn(function (err, res) {
+    finished = true;
+    error = err;
+    result = res;
+  });
+
+  if (!finished) {
+    throw new Error('"' + name + '" did not complete synchronously. Use an async method for async middleware.');
+  }
+  if (error) throw error;
+  return result;
+};
+
+
+/**
+ * Get the `keys` that are referenced as a whole word inside the
+ * template tags of the given `content` string. Tags are found with
+ * the delimiter `settings` of the engine when defined, otherwise
+ * with the common `<% %>`, `{{ }}` and `{% %}` delimiters.
+ *
+ * This is an approximation: the code in the tags is not parsed, and
+ * keys that are only used by helpers are not found.
+ *
+ * @param  {String} `content`
+ * @param  {Array} `keys`
+ * @param  {Object} `settings` Delimiter settings with `interpolate`, `evaluate` and `escape` regexes.
+ * @return {Array}
+ * @api private
+ */
+
+utils.referencedKeys = function (content, keys, settings) {
+  if (!utils.isString(content)) return [];
+
+  var sources = _.compact(_.map(_.pick(settings || {}, ['interpolate', 'evaluate', 'escape']), function (re) {
+    return re instanceof RegExp && re.source;
+  }));
+  if (!sources.length) {
+    sources = ['<%[\\s\\S]*?%>', '\\{\\{[\\s\\S]*?\\}\\}', '\\{%[\\s\\S]*?%\\}'];
+  }
+
+  var tags = content.match(new RegExp(sources.join('|'), 'g')) || [];
+  var code = tags.join('\n');
+
+  return keys.filter(function (key) {
+    var escaped = key.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+    return new RegExp('(^|[^\\w$])' + escaped + '($|[^\\w$])').test(code);
+  });
+};
+
+
+/**
+ * Create a hash of the given strings, e.g. to detect when the
+ * content of a template has changed.
+ *
+ * @param  {Array} `arr` Array of strings.
+ * @return {String}
+ * @api private
+ */
+
+utils.hash = function (arr) {
+  var hash = crypto.createHash('md5');
+  arrayify(arr).forEach(function (str) {
+    hash.update(String(str) + '\0');
+  });
+  return hash.digest('hex');
+};
+
+
 /**
  * Generate a unique id to be used for caching unidentified
  * tempalates. (not used currently)
@@ -387,6 +512,10 @@ utils.isBoolean = function isBoolean(val) {
   return typeOf(val) === 'boolean';
 };
 
+utils.isPromise = function isPromise(val) {
+  return !!val && typeof val.then === 'function';
+};
+
 var hasOwn = utils.hasOwn = function(o, prop) {
   return {}.hasOwnProperty.call(o, prop);
 };
\ No newline at end of file
@@ -0,0 +1,184 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var _ = require('lodash');
+var handlebars = require('handlebars');
+var Template = require('..');
+var template = new Template();
+var compiled;
+
+
+// A simple engine that exposes `compile`, and counts the compiled templates
+var engine = {
+  compile: function (str, settings) {
+    compiled.push(str);
+    return _.template(str, null, settings);
+  },
+  render: function (str, options, cb) {
+    cb(null, _.template(str, options));
+  },
+  renderSync: function (str, options) {
+    return _.template(str, options);
+  }
+};
+
+
+// engine-handlebars, with `compile` added
+var hbs = _.extend({}, require('engine-handlebars'), {
+  compile: function (str, settings) {
+    compiled.push(str);
+    return handlebars.compile(str);
+  }
+});
+
+
+describe('compiled template cache:', function () {
+  beforeEach(function () {
+    template = new Template();
+    template.engine('tmpl', engine);
+    compiled = [];
+  });
+
+  it('should compile a cached template once for multiple renders:', function () {
+    template.page('a.tmpl', '<%= title %>');
+
+    template.renderSync('a.tmpl', {title: 'en'}).should.equal('en');
+    template.renderSync('a.tmpl', {title: 'fr'}).should.equal('fr');
+    compiled.should.eql(['<%= title %>']);
+  });
+
+  it('should use the compiled template with `.render()`:', function (done) {
+    template.page('a.tmpl', '<%= title %>');
+
+    template.render('a.tmpl', {title: 'en'}, function (err, content) {
+      if (err) return done(err);
+      content.should.equal('en');
+
+      template.render('a.tmpl', {title: 'fr'}, function (err, content) {
+        if (err) return done(err);
+        content.should.equal('fr');
+        compiled.should.have.length(1);
+        done();
+      });
+    });
+  });
+
+  it('should cache the content with the layout applied:', function () {
+    template.layout('base.tmpl', '<main>{% body %}</main>');
+    template.page('a.tmpl', '<%= title %>', {layout: 'base.tmpl'});
+
+    template.renderSync('a.tmpl', {title: 'en'}).should.equal('<main>en</main>');
+    template.renderSync('a.tmpl', {title: 'fr'}).should.equal('<main>fr</main>');
+    compiled.should.eql(['<main><%= title %></main>']);
+  });
+
+  it('should recompile when the template is updated:', function () {
+    template.page('a.tmpl', '<%= title %>');
+    template.renderSync('a.tmpl', {title: 'en'}).should.equal('en');
+
+    template.page('a.tmpl', '<b><%= title %></b>');
+    template.renderSync('a.tmpl', {title: 'en'}).should.equal('<b>en</b>');
+    compiled.should.have.length(2);
+  });
+
+  it('should recompile when a layout is updated:', function () {
+    template.layout('base.tmpl', 'a {% body %}');
+    template.page('a.tmpl', '<%= title %>', {layout: 'base.tmpl'});
+    template.renderSync('a.tmpl', {title: 'x'}).should.equal('a x');
+
+    template.layout('base.tmpl', 'b {% body %}');
+    template.renderSync('a.tmpl', {title: 'x'}).should.equal('b x');
+    compiled.should.have.length(2);
+  });
+
+  it('should not cache compiled templates when `cacheCompiled` is false:', function () {
+    template.option('cacheCompiled', false);
+    template.page('a.tmpl', '<%= title %>');
+
+    template.renderSync('a.tmpl', {title: 'en'}).should.equal('en');
+    template.renderSync('a.tmpl', {title: 'fr'}).should.equal('fr');
+    compiled.should.have.length(0);
+  });
+
+  it('should recompile when the content is changed directly:', function () {
+    template.page('a.tmpl', '<%= title %>');
+    template.renderSync('a.tmpl', {title: 'en'}).should.equal('en');
+
+    template.cache.pages['a.tmpl'].content = '<i><%= title %></i>';
+    template.renderSync('a.tmpl', {title: 'en'}).should.equal('<i>en</i>');
+    compiled.should.have.length(2);
+  });
+
+  it('should recompile when the delimiters of the engine change:', function () {
+    template.page('a.tmpl', '<%= title %>{{= title }}');
+    template.renderSync('a.tmpl', {title: 'x'}).should.equal('x{{= title }}');
+
+    template.addDelims('.tmpl', ['{{', '}}']);
+    template.renderSync('a.tmpl', {title: 'x'}).should.equal('<%= title %>x');
+    compiled.should.have.length(2);
+  });
+
+  it('should compile without the locals of the first render:', function () {
+    var args = [];
+    template.engine('tmpl', _.extend({}, engine, {
+      compile: function (str, settings) {
+        args.push(settings);
+        return _.template(str);
+      }
+    }));
+
+    template.page('a.tmpl', '<%= title %>');
+    template.renderSync('a.tmpl', {title: 'en'});
+    args.should.have.length(1);
+    args[0].should.not.have.property('title');
+  });
+
+  describe('with handlebars:', function () {
+    beforeEach(function () {
+      template.engine('hbs', hbs);
+    });
+
+    it('should render with the compiled template:', function () {
+      template.page('a.hbs', '<b>{{title}}</b>');
+
+      template.renderSync('a.hbs', {title: 'en'}).should.equal('<b>en</b>');
+      template.renderSync('a.hbs', {title: 'fr'}).should.equal('<b>fr</b>');
+      compiled.should.eql(['<b>{{title}}</b>']);
+    });
+
+    it('should pass helpers to the compiled template:', function (done) {
+      template.helpers('hbs').addHelper('upper', function (str) {
+        return str.toUpperCase();
+      });
+
+      template.page('a.hbs', '{{upper title}}');
+      template.render('a.hbs', {title: 'en'}, function (err, content) {
+        if (err) return done(err);
+        content.should.equal('EN');
+
+        template.render('a.hbs', {title: 'fr'}, function (err, content) {
+          if (err) return done(err);
+          content.should.equal('FR');
+          compiled.should.have.length(1);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should remove compiled templates with `.clearCompiled()`:', function () {
+    template.page('a.tmpl', '<%= title %>');
+    template.renderSync('a.tmpl', {title: 'en'});
+
+    template.clearCompiled('a.tmpl');
+    template.renderSync('a.tmpl', {title: 'en'});
+    compiled.should.have.length(2);
+  });
+});
@@ -0,0 +1,137 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('dependency graph:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  describe('.dependencies()', function () {
+    it('should return empty dependencies for templates that were not rendered:', function () {
+      template.page('a.md', 'abc');
+      template.dependencies('a.md').should.eql({partials: [], layouts: [], data: []});
+    });
+
+    it('should record the partials used by a template:', function () {
+      template.partial('nav.md', '<nav></nav>');
+      template.partial('footer.md', '<footer></footer>');
+      template.page('a.md', '<%= partial("nav.md") %>');
+
+      template.renderSync('a.md').should.equal('<nav></nav>');
+      template.dependencies('a.md').partials.should.eql(['nav.md']);
+    });
+
+    it('should record partials used by partials:', function () {
+      template.partial('nav.md', '<%= partial("item.md") %>');
+      template.partial('item.md', '<li></li>');
+      template.page('a.md', '<%= partial("nav.md") %>');
+
+      template.renderSync('a.md');
+      template.dependencies('a.md').partials.should.eql(['nav.md']);
+      template.dependencies('nav.md').partials.should.eql(['item.md']);
+    });
+
+    it('should record the layouts that were applied:', function () {
+      template.layout('base.md', 'base {% body %}');
+      template.layout('default.md', '---\nlayout: base.md\n---\ndefault {% body %}');
+      template.page('a.md', '---\nlayout: default.md\n---\nabc');
+
+      template.renderSync('a.md').should.equal('base default abc');
+      template.dependencies('a.md').layouts.should.eql(['base.md', 'default.md']);
+    });
+
+    it('should record the data keys referred to by the template and layouts:', function () {
+      template.data({site: {title: 'Site'}, author: 'Jon', year: 2014});
+      template.layout('base.md', '<%= author %> {% body %}');
+      template.page('a.md', '---\nlayout: base.md\n---\n<%= site.title %>');
+
+      template.renderSync('a.md').should.equal('Jon Site');
+      template.dependencies('a.md').data.should.eql(['site', 'author']);
+    });
+
+    it('should only look for data keys in template tags:', function () {
+      template.data({site: 'Site', author: 'Jon'});
+      template.page('a.md', 'Welcome to our site, by <%= author %>');
+
+      template.renderSync('a.md').should.equal('Welcome to our site, by Jon');
+      template.dependencies('a.md').data.should.eql(['author']);
+    });
+
+    it('should use the delimiters of the engine to find template tags:', function () {
+      template.data({site: 'Site', author: 'Jon'});
+      template.page('a.md', '<%= site %>{{= author }}', {delims: ['{{', '}}']});
+
+      template.renderSync('a.md').should.equal('<%= site %>Jon');
+      template.dependencies('a.md').data.should.eql(['author']);
+    });
+
+    it('should record dependencies for async renders:', function (done) {
+      template.partial('nav.md', '<nav></nav>');
+      template.page('a.md', '<%= partial("nav.md") %>');
+
+      template.render('a.md', function (err) {
+        if (err) return done(err);
+        template.dependencies('a.md').partials.should.eql(['nav.md']);
+        done();
+      });
+    });
+
+    it('should replace the dependencies when a template is rendered again:', function () {
+      template.partial('nav.md', '<nav></nav>');
+      template.page('a.md', '<%= partial("nav.md") %>');
+      template.renderSync('a.md');
+
+      template.page('a.md', 'abc');
+      template.renderSync('a.md');
+      template.dependencies('a.md').partials.should.eql([]);
+    });
+  });
+
+  describe('.dependents()', function () {
+    it('should get the templates that use a partial, directly or not:', function () {
+      template.partial('nav.md', '<%= partial("item.md") %>');
+      template.partial('item.md', '<li></li>');
+      template.page('a.md', '<%= partial("nav.md") %>');
+      template.page('b.md', '<%= partial("item.md") %>');
+      template.page('c.md', 'abc');
+
+      template.renderSync('a.md');
+      template.renderSync('b.md');
+      template.renderSync('c.md');
+
+      template.dependents('item.md').should.eql(['nav.md', 'b.md', 'a.md']);
+      template.dependents('nav.md').should.eql(['a.md']);
+    });
+
+    it('should get the templates that use a layout:', function () {
+      template.layout('base.md', 'base {% body %}');
+      template.page('a.md', '---\nlayout: base.md\n---\nabc');
+      template.page('b.md', 'abc');
+
+      template.renderSync('a.md');
+      template.renderSync('b.md');
+      template.dependents('base.md').should.eql(['a.md']);
+    });
+
+    it('should get the templates that use a data key:', function () {
+      template.data({site: 'Site'});
+      template.page('a.md', '<%= site %>');
+      template.page('b.md', 'abc');
+
+      template.renderSync('a.md');
+      template.renderSync('b.md');
+      template.dependents('site').should.eql(['a.md']);
+    });
+  });
+});
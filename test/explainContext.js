@@ -0,0 +1,113 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('.explainContext():', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  it('should throw an error when the template does not exist:', function () {
+    (function () {
+      template.explainContext('foo.md');
+    }).should.throw('Template "foo.md" was not found.');
+  });
+
+  it('should explain variables from global data:', function () {
+    template.data({site: 'Blog'});
+    template.page('a.md', 'abc');
+
+    var ctx = template.explainContext('a.md');
+    ctx.site.should.eql({value: 'Blog', layer: 'data', shadowed: []});
+  });
+
+  it('should explain which layers were shadowed by front matter:', function () {
+    template.data({title: 'Data'});
+    template.page('a.md', '---\ntitle: Front matter\n---\nabc', {title: 'Locals'});
+
+    var ctx = template.explainContext('a.md');
+    ctx.title.value.should.equal('Front matter');
+    ctx.title.layer.should.equal('template.data');
+    ctx.title.shadowed.should.eql([
+      {layer: 'data', value: 'Data'},
+      {layer: 'template.locals', value: 'Locals'}
+    ]);
+  });
+
+  it('should prefer template locals when `preferLocals` is true:', function () {
+    template.option('preferLocals', true);
+    template.page('a.md', '---\ntitle: Front matter\n---\nabc', {title: 'Locals'});
+
+    var ctx = template.explainContext('a.md');
+    ctx.title.value.should.equal('Locals');
+    ctx.title.layer.should.equal('template.locals');
+    ctx.title.shadowed.should.eql([{layer: 'template.data', value: 'Front matter'}]);
+  });
+
+  it('should explain variables passed as render locals:', function () {
+    template.page('a.md', '---\ntitle: Front matter\n---\nabc');
+
+    var ctx = template.explainContext('a.md', {title: 'Render'});
+    ctx.title.value.should.equal('Render');
+    ctx.title.layer.should.equal('locals');
+    ctx.title.shadowed.should.have.length(1);
+  });
+
+  it('should explain variables from partials, helpers and delims:', function () {
+    template.addDelims('.md', ['{{', '}}']);
+    template.partial('nav.md', '---\nnav: true\n---\n<nav></nav>');
+    template.page('a.md', 'abc');
+
+    var ctx = template.explainContext('a.md');
+    ctx.nav.layer.should.equal('partial:nav.md');
+    ctx.partials.layer.should.equal('partials');
+    ctx.partials.value.should.have.property('nav.md');
+    ctx.helpers.layer.should.equal('helpers');
+    ctx.helpers.value.should.have.property('partial');
+    ctx.interpolate.layer.should.equal('delims');
+  });
+
+  it('should give partial data precedence over locals:', function () {
+    template.partial('nav.md', '---\ntitle: Nav\n---\n<nav></nav>');
+    template.page('a.md', '<%= title %>', {title: 'Page'});
+
+    var ctx = template.explainContext('a.md');
+    ctx.title.value.should.equal('Nav');
+    ctx.title.layer.should.equal('partial:nav.md');
+    ctx.title.shadowed.should.eql([{layer: 'template.locals', value: 'Page'}]);
+    template.renderSync('a.md').should.equal('Nav');
+  });
+
+  it('should match the context used to render the template:', function () {
+    template.data({a: 'data', b: 'data', c: 'data'});
+    template.page('a.md', '---\nb: fm\n---\n<%= a %>-<%= b %>-<%= c %>', {a: 'locals', b: 'locals'});
+
+    var ctx = template.explainContext('a.md', {c: 'render'});
+    var expected = [ctx.a.value, ctx.b.value, ctx.c.value].join('-');
+    template.renderSync('a.md', {c: 'render'}).should.equal(expected);
+  });
+
+  it('should merge values with the merge strategy of the template:', function () {
+    template.option('mergeStrategy', {'*': 'deep', tags: 'union', title: 'prefer-front-matter'});
+    template.data({site: {name: 'P'}, tags: ['x']});
+    template.page('a.md', '---\ntitle: fm\nsite:\n  nav: [a]\ntags: [y]\n---\n<%= title %>');
+
+    var ctx = template.explainContext('a.md', {title: 'render'});
+    ctx.site.value.should.eql({name: 'P', nav: ['a']});
+    ctx.tags.value.should.eql(['x', 'y']);
+    ctx.title.value.should.equal('fm');
+    ctx.title.layer.should.equal('template.data');
+    ctx.title.shadowed.should.eql([{layer: 'locals', value: 'render'}]);
+    template.renderSync('a.md', {title: 'render'}).should.equal('fm');
+  });
+});
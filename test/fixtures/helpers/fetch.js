@@ -0,0 +1,6 @@
+module.exports = function (name, cb) {
+  setTimeout(function () {
+    cb(null, 'fetched ' + name);
+  }, 5);
+};
+module.exports.async = true;
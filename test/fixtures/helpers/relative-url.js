@@ -0,0 +1,3 @@
+module.exports = function (from, to) {
+  return require('path').relative(from, to);
+};
@@ -0,0 +1,5 @@
+exports.async = true;
+
+exports.reverse = function (str, next) {
+  next(null, String(str).split('').reverse().join(''));
+};
@@ -0,0 +1,9 @@
+exports.upper = function (str) {
+  return String(str).toUpperCase();
+};
+
+exports.lower = function (str) {
+  return String(str).toLowerCase();
+};
+
+exports.version = '0.1.0';
@@ -0,0 +1,129 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('helper context:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  it('should return `null` when nothing is being rendered:', function () {
+    should.not.exist(template.renderContext());
+  });
+
+  it('should expose the template being rendered to helpers:', function () {
+    var ctx;
+    template.addHelper('inspect', function () {
+      ctx = this.renderContext();
+      return '';
+    });
+
+    template.layout('base.md', '{% body %}');
+    template.page('docs/a.md', '---\nlayout: base.md\ntitle: A\n---\n<%= inspect() %>', {author: 'Jon'});
+    template.renderSync('a.md', {site: 'Blog'});
+
+    ctx.key.should.equal('a.md');
+    ctx.path.should.equal('docs/a.md');
+    ctx.template.data.title.should.equal('A');
+    ctx.layouts.should.eql(['base.md']);
+    ctx.context.should.have.properties({title: 'A', author: 'Jon', site: 'Blog'});
+    ctx.stack.should.eql([]);
+    ctx.ext.should.equal('.md');
+    ctx.engine.should.equal('.md');
+  });
+
+  it('should support helpers like `editOnGithub`:', function () {
+    template.addHelper('editOnGithub', function () {
+      return 'https://github.com/a/b/edit/master/' + this.renderContext().path;
+    });
+    template.page('docs/a.md', '<%= editOnGithub() %>');
+
+    template.renderSync('a.md').should.equal('https://github.com/a/b/edit/master/docs/a.md');
+  });
+
+  it('should expose the include stack of partials:', function () {
+    var stacks = [];
+    template.addHelper('inspect', function () {
+      var ctx = this.renderContext();
+      stacks.push(ctx.key + ': ' + ctx.stack.join(','));
+      return '';
+    });
+
+    template.partial('item.md', '<%= inspect() %>');
+    template.partial('nav.md', '<%= inspect() %><%= partial("item.md") %>');
+    template.page('home.md', '<%= inspect() %><%= partial("nav.md") %><%= inspect() %>');
+    template.renderSync('home.md');
+
+    stacks.should.eql([
+      'home.md: ',
+      'nav.md: home.md',
+      'item.md: home.md,nav.md',
+      'home.md: '
+    ]);
+    should.not.exist(template.renderContext());
+  });
+
+  it('should expose the context to async helpers:', function (done) {
+    template.addHelperAsync('where', function (label, next) {
+      var ctx = this.renderContext();
+      setTimeout(function () {
+        next(null, label + ':' + ctx.key + '<' + ctx.stack.join(','));
+      }, 5);
+    });
+
+    template.partial('nav.md', '[<%= where("b") %>]');
+    template.page('home.md', '<%= where("a") %> <%= partialAsync("nav.md") %>');
+
+    template.render('home.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('a:home.md< [b:nav.md<home.md]');
+      done();
+    });
+  });
+
+  it('should call helpers with the template as `this`:', function () {
+    template.addHelper('count', function () {
+      this.counter = (this.counter || 0) + 1;
+      return this === template;
+    });
+
+    template.page('a.md', '<%= count() %><%= count() %>');
+    template.renderSync('a.md').should.equal('truetrue');
+    template.counter.should.equal(2);
+  });
+
+  it('should not keep the context of async helpers after the render:', function (done) {
+    template.addHelperAsync('where', function (label, next) {
+      var ctx = this.renderContext();
+      setTimeout(function () {
+        next(null, label + ctx.key);
+      }, 5);
+    });
+    template.addHelper('later', function () {
+      var ctx = this.renderContext();
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          resolve(ctx.key);
+        }, 5);
+      });
+    });
+
+    template.page('a.md', '<%= where("a:") %> <%= later() %>');
+    template.render('a.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('a:a.md a.md');
+      should.not.exist(template.renderContext());
+      done();
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('helper registry:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  describe('.listHelpers()', function () {
+    it('should list the helpers created for template types:', function () {
+      var helpers = template.listHelpers('.md');
+      var partial = helpers.filter(function (helper) {
+        return helper.name === 'partial' || helper.name === 'partialAsync';
+      });
+
+      partial.should.eql([
+        {name: 'partial', async: false, source: 'type', engines: ['.md'], shadowed: false},
+        {name: 'partialAsync', async: true, source: 'type', engines: ['.md'], shadowed: false}
+      ]);
+    });
+
+    it('should list generic and engine helpers:', function () {
+      template.addHelper('upper', function () {});
+      template.addHelperAsync('fetch', function () {});
+      template.helpers('md').addHelper('link', function () {});
+
+      var helpers = template.listHelpers('md');
+      helpers.should.containEql({name: 'upper', async: false, source: 'generic', engines: ['.md'], shadowed: false});
+      helpers.should.containEql({name: 'fetch', async: true, source: 'generic', engines: ['.md'], shadowed: false});
+      helpers.should.containEql({name: 'link', async: false, source: 'engine', engines: ['.md'], shadowed: false});
+    });
+
+    it('should list helpers defined on templates:', function () {
+      template.page('a.md', '---\nhelpers:\n  x: 1\n---\nA', {helpers: {upper: function () {}}});
+      template.page('b.hbs', 'B', {helpers: {link: function () {}}});
+
+      var helpers = template.listHelpers('md');
+      helpers.should.containEql({name: 'upper', async: false, source: 'template', engines: ['.md'], shadowed: false, template: 'a.md'});
+      helpers.filter(function (helper) {
+        return helper.name === 'x' || helper.name === 'link';
+      }).should.eql([]);
+    });
+
+    it('should list the engines that use each helper:', function () {
+      template.addHelper('upper', function () {});
+      template.helpers('hbs').addHelper('link', function () {});
+
+      var helpers = template.listHelpers();
+      var upper = helpers.filter(function (helper) {
+        return helper.name === 'upper';
+      });
+      var link = helpers.filter(function (helper) {
+        return helper.name === 'link';
+      });
+
+      upper[0].engines.should.eql(Object.keys(template.engines));
+      link.should.eql([{name: 'link', async: false, source: 'engine', engines: ['.hbs'], shadowed: false}]);
+    });
+
+    it('should report engine helpers that are shadowed by generic helpers:', function () {
+      template.helpers('md').addHelper('link', function () {});
+      template.addHelper('link', function () {});
+
+      var link = template.listHelpers('md').filter(function (helper) {
+        return helper.name === 'link';
+      });
+      link.should.eql([
+        {name: 'link', async: false, source: 'generic', engines: ['.md'], shadowed: false},
+        {name: 'link', async: false, source: 'engine', engines: ['.md'], shadowed: true}
+      ]);
+    });
+
+    it('should not list a helper as async after it is replaced with a sync helper:', function () {
+      template.addHelperAsync('fetch', function () {});
+      template.addHelper('fetch', function () {});
+
+      var fetch = template.listHelpers('md').filter(function (helper) {
+        return helper.name === 'fetch';
+      });
+      fetch[0].async.should.be.false;
+    });
+  });
+
+  describe('helper conflicts:', function () {
+    it('should not report conflicts by default:', function () {
+      var warnings = [];
+      template.on('warning', function (err) {
+        warnings.push(err);
+      });
+
+      template.addHelper('link', function () {});
+      template.addHelper('link', function () {});
+      warnings.should.have.length(0);
+    });
+
+    it('should emit a warning when a generic helper is replaced:', function () {
+      var warnings = [];
+      template.on('warning', function (err) {
+        warnings.push(err);
+      });
+
+      template.option('helperConflicts', 'warn');
+      template.addHelper('link', function () {});
+      template.addHelper({link: function () {}});
+
+      warnings.should.have.length(1);
+      warnings[0].message.should.equal('Generic helper "link" shadows the existing generic helper.');
+      warnings[0].helper.should.equal('link');
+    });
+
+    it('should emit a warning when a generic helper shadows an engine helper:', function () {
+      var warnings = [];
+      template.on('warning', function (err) {
+        warnings.push(err.message);
+      });
+
+      template.option('helperConflicts', 'warn');
+      template.helpers('hbs', 'link', function () {});
+      template.addHelperAsync('link', function () {});
+
+      warnings.should.eql(['Generic helper "link" shadows the helper for engine ".hbs".']);
+    });
+
+    it('should emit a warning when an engine helper is shadowed:', function () {
+      var warnings = [];
+      template.on('warning', function (err) {
+        warnings.push(err.message);
+      });
+
+      template.option('helperConflicts', 'warn');
+      template.addHelper('link', function () {});
+      template.helpersAsync('hbs', 'link', function () {});
+      template.helpers('hbs', {link: function () {}});
+
+      warnings.should.eql([
+        'Helper "link" for engine ".hbs" is shadowed by the generic helper.',
+        'Helper "link" for engine ".hbs" shadows the existing helper for engine ".hbs".',
+        'Helper "link" for engine ".hbs" is shadowed by the generic helper.'
+      ]);
+    });
+
+    it('should throw an error when `helperConflicts` is `throw`:', function () {
+      template.option('helperConflicts', 'throw');
+      template.addHelper('link', function () {
+        return 'a';
+      });
+
+      (function () {
+        template.addHelper('link', function () {
+          return 'b';
+        });
+      }).should.throw('Generic helper "link" shadows the existing generic helper.');
+      template._.helpers.link().should.equal('a');
+    });
+
+    it('should report type helpers that are replaced:', function () {
+      template.option('helperConflicts', 'throw');
+      (function () {
+        template.addHelper('partial', function () {});
+      }).should.throw(/shadows the existing generic helper/);
+    });
+  });
+});
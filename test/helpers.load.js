@@ -0,0 +1,177 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var path = require('path');
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+var fixtures = path.join(__dirname, 'fixtures/helpers');
+
+
+describe('.loadHelpers():', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  it('should register helpers from files, named after the file:', function () {
+    template.loadHelpers('*.js', {cwd: fixtures});
+
+    template._.helpers.should.have.properties(['relativeUrl', 'fetch']);
+    template.page('a.md', '<%= relativeUrl("a/b", "a/c") %>');
+    template.renderSync('a.md').should.equal('../c');
+  });
+
+  it('should register the functions exported on an object, named after their keys:', function () {
+    template.loadHelpers('strings/index.js', {cwd: fixtures});
+
+    template._.helpers.should.have.properties(['upper', 'lower']);
+    template._.helpers.should.not.have.property('version');
+  });
+
+  it('should resolve patterns from the `cwd`:', function () {
+    template.loadHelpers(['test/fixtures/helpers/*.js', '!**/fetch.js']);
+
+    template._.helpers.should.have.property('relativeUrl');
+    template._.helpers.should.not.have.property('fetch');
+  });
+
+  it('should register the functions on an object:', function () {
+    template.loadHelpers(require('./fixtures/helpers/strings'));
+    template.page('a.md', '<%= upper("a") %><%= lower("B") %>');
+
+    template.renderSync('a.md').should.equal('Ab');
+  });
+
+  it('should register helpers from named modules:', function () {
+    template.loadHelpers('path', {namespace: 'path'});
+    template.page('a.md', '<%= pathBasename("a/b.md") %>');
+
+    template.renderSync('a.md').should.equal('b.md');
+  });
+
+  it('should prefix helper names with the `namespace`:', function () {
+    template.loadHelpers('strings/index.js', {cwd: fixtures, namespace: 'str'});
+    template.page('a.md', '<%= strUpper("a") %>');
+
+    template.renderSync('a.md').should.equal('A');
+    template._.helpers.should.not.have.property('upper');
+  });
+
+  it('should detect async helpers from an `async` export:', function (done) {
+    template.loadHelpers('strings/async.js', {cwd: fixtures});
+    template._.helpers._.helpersAsync.should.have.property('reverse');
+
+    template.page('a.md', '<%= reverse("abc") %>');
+    template.render('a.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('cba');
+      done();
+    });
+  });
+
+  it('should detect async helpers from an `async` property on an exported function:', function (done) {
+    template.loadHelpers('*.js', {cwd: fixtures});
+    template._.helpers._.helpersAsync.should.have.property('fetch');
+    template._.helpers._.helpersAsync.should.not.have.property('relativeUrl');
+
+    template.page('a.md', '<%= fetch("a") %>');
+    template.render('a.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('fetched a');
+      done();
+    });
+  });
+
+  it('should detect async helpers from an `async` property:', function (done) {
+    function wait(a, b, fin) {
+      setTimeout(function () {
+        fin(null, a + b);
+      }, 5);
+    }
+    wait.async = true;
+
+    template.loadHelpers({wait: wait});
+    template.page('a.md', '<%= wait("a", "b") %>');
+    template.render('a.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('ab');
+      done();
+    });
+  });
+
+  it('should register every helper as async with the `async` option:', function (done) {
+    template.loadHelpers({
+      upper: function (str, next) {
+        next(null, str.toUpperCase());
+      }
+    }, {async: true});
+
+    template.page('a.md', '<%= upper("a") %>');
+    template.render('a.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('A');
+      done();
+    });
+  });
+
+  it('should not use the name of a function to detect async helpers:', function () {
+    template.loadHelpers({
+      isAsync: function (val) {
+        return val ? 'yes' : 'no';
+      }
+    });
+
+    template._.helpers._.helpersAsync.should.not.have.property('isAsync');
+    template.page('a.md', '<%= isAsync(1) %>');
+    template.renderSync('a.md').should.equal('yes');
+  });
+
+  it('should not use the parameters of a function to detect async helpers:', function () {
+    template.loadHelpers({
+      join: function (a, next) {
+        return a + next;
+      }
+    });
+
+    template._.helpers._.helpersAsync.should.not.have.property('join');
+    template.page('a.md', '<%= join("a", "b") %>');
+    template.renderSync('a.md').should.equal('ab');
+  });
+
+  it('should register helpers for the engine `ext`:', function () {
+    template.loadHelpers('strings/index.js', {cwd: fixtures, ext: 'md'});
+
+    template._.helpers.should.not.have.property('upper');
+    template.helpers('md').should.have.property('upper');
+    template.listHelpers('.md').should.containEql({
+      name: 'upper',
+      async: false,
+      source: 'engine',
+      engines: ['.md'],
+      shadowed: false
+    });
+  });
+
+  it('should throw an error when a file or module is not found:', function () {
+    (function () {
+      template.loadHelpers('missing-helpers.js', {cwd: fixtures});
+    }).should.throw('Cannot find helpers: "missing-helpers.js".');
+  });
+
+  it('should throw an error naming modules that do not export helpers:', function () {
+    (function () {
+      template.loadHelpers('invalid/null.js', {cwd: fixtures});
+    }).should.throw('Helpers module "' + path.join(fixtures, 'invalid/null.js') + '" must export a function or an object.');
+  });
+
+  it('should be chainable:', function () {
+    template.loadHelpers({a: function () {}}).should.equal(template);
+  });
+});
@@ -0,0 +1,132 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('async partial helpers:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  it('should register an async helper for every template type:', function () {
+    template.create('snippet', 'snippets');
+    template.create('post', 'posts', {isRenderable: true});
+
+    template._.helpers.should.have.properties(['partialAsync', 'snippetAsync', 'postAsync', 'pageAsync']);
+    template._.helpers._.helpersAsync.should.have.properties(['partialAsync', 'snippetAsync']);
+  });
+
+  it('should render a partial:', function (done) {
+    template.partial('nav.md', '<nav><%= title %></nav>', {title: 'Nav'});
+    template.page('a.md', '<%= partialAsync("nav.md") %>');
+
+    template.render('a.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('<nav>Nav</nav>');
+      done();
+    });
+  });
+
+  it('should merge helper locals with the data of the partial:', function (done) {
+    template.partial('nav.md', '---\nclassName: nav\n---\n<nav class="<%= className %>"><%= active %></nav>', {active: 'none'});
+    template.page('a.md', '<%= partialAsync("nav.md", {active: "home"}) %>');
+
+    template.render('a.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('<nav class="nav">home</nav>');
+      template.cache.partials['nav.md'].locals.should.eql({active: 'none'});
+      done();
+    });
+  });
+
+  it('should apply partial layouts:', function (done) {
+    template.layout('card.md', '<div class="card">{% body %}</div>');
+    template.partial('alert.md', '---\nlayout: card.md\n---\n<%= msg %>');
+    template.page('a.md', '<%= partialAsync("alert.md", {msg: "Hi"}) %>');
+
+    template.render('a.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('<div class="card">Hi</div>');
+      done();
+    });
+  });
+
+  it('should resolve async helpers used by the partial:', function (done) {
+    template.addHelperAsync('upper', function (str, next) {
+      setTimeout(function () {
+        next(null, str.toUpperCase());
+      }, 5);
+    });
+    template.partial('item.md', '<li><%= upper(name) %></li>');
+    template.partial('nav.md', '<ul><%= partialAsync("item.md", {name: "a"}) %><%= snippetAsync("b.md") %></ul>');
+    template.create('snippet', 'snippets');
+    template.snippet('b.md', '<li><%= upper("b") %></li>');
+    template.page('a.md', '<%= partialAsync("nav.md") %>');
+
+    template.render('a.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('<ul><li>A</li><li>B</li></ul>');
+      done();
+    });
+  });
+
+  it('should pass errors to the callback of the render method:', function (done) {
+    template.partial('nav.md', '<%= foo.bar %>');
+    template.page('a.md', '<%= partialAsync("nav.md") %>');
+
+    template.render('a.md', function (err) {
+      should.exist(err);
+      err.message.should.match(/foo is not defined/);
+      done();
+    });
+  });
+
+  it('should detect cycles in async partials:', function (done) {
+    template.partial('nav.md', '<%= partialAsync("item.md") %>');
+    template.partial('item.md', '<%= partialAsync("nav.md") %>');
+    template.page('home.md', '<%= partialAsync("nav.md") %>');
+
+    template.render('home.md', function (err) {
+      should.exist(err);
+      err.message.should.match(/home.md → nav.md → item.md → nav.md./);
+      done();
+    });
+  });
+
+  it('should record async partials as dependencies:', function (done) {
+    template.partial('nav.md', 'nav');
+    template.page('home.md', '<%= partialAsync("nav.md") %>');
+
+    template.render('home.md', function (err) {
+      if (err) return done(err);
+      template.dependencies('home.md').partials.should.eql(['nav.md']);
+      done();
+    });
+  });
+
+  it('should record missing async partials as dependencies:', function (done) {
+    template.option('missing', 'placeholder');
+    template.page('home.md', '<%= partialAsync("nav.md") %>');
+
+    template.render('home.md', function (err) {
+      if (err) return done(err);
+      template.dependencies('home.md').partials.should.eql(['nav.md']);
+
+      template.partial('nav.md', 'nav');
+      template.invalidate('nav.md').renderChanged(function (err, res) {
+        if (err) return done(err);
+        res.content.should.eql({'home.md': 'nav'});
+        done();
+      });
+    });
+  });
+});
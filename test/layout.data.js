@@ -0,0 +1,86 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('layout data:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  it('should merge layout front matter into the context of the page:', function () {
+    template.layout('base.md', '---\nbodyClass: default\n---\n<body class="<%= bodyClass %>">{% body %}</body>');
+    template.page('a.md', '---\nlayout: base.md\n---\nabc');
+
+    template.renderSync('a.md').should.equal('<body class="default">abc</body>');
+  });
+
+  it('should let the page override layout data:', function () {
+    template.layout('base.md', '---\nbodyClass: default\n---\n<body class="<%= bodyClass %>">{% body %}</body>');
+    template.page('a.md', '---\nlayout: base.md\nbodyClass: home\n---\nabc');
+    template.page('b.md', 'abc', {layout: 'base.md', bodyClass: 'about'});
+
+    template.renderSync('a.md').should.equal('<body class="home">abc</body>');
+    template.renderSync('b.md').should.equal('<body class="about">abc</body>');
+  });
+
+  it('should give inner layouts precedence over outer layouts:', function () {
+    template.layout('base.md', '---\ntitle: Base\nsite: Blog\n---\n<%= site %>: {% body %}');
+    template.layout('post.md', '---\nlayout: base.md\ntitle: Post\n---\n<%= title %> {% body %}');
+    template.page('a.md', '---\nlayout: post.md\n---\nabc');
+
+    template.renderSync('a.md').should.equal('Blog: Post abc');
+  });
+
+  it('should give layout data precedence over global data:', function () {
+    template.data({title: 'Data', site: 'Site'});
+    template.layout('base.md', '---\ntitle: Layout\n---\n<%= title %> {% body %}');
+    template.page('a.md', '---\nlayout: base.md\n---\n<%= site %>');
+
+    template.renderSync('a.md').should.equal('Layout Site');
+  });
+
+  it('should use layout locals:', function () {
+    template.layout('base.md', '<%= title %> {% body %}', {title: 'Layout'});
+    template.page('a.md', 'abc', {layout: 'base.md'});
+
+    template.renderSync('a.md').should.equal('Layout abc');
+  });
+
+  it('should respect `preferLocals` for the page:', function () {
+    template.option('preferLocals', true);
+    template.layout('base.md', '---\ntitle: Layout\n---\n<%= title %> {% body %}');
+    template.page('a.md', '---\nlayout: base.md\ntitle: Front matter\n---\nabc', {title: 'Locals'});
+    template.page('b.md', '---\nlayout: base.md\n---\nabc');
+
+    template.renderSync('a.md').should.equal('Locals abc');
+    template.renderSync('b.md').should.equal('Layout abc');
+  });
+
+  it('should not use the `layout` property of layouts to resolve the layout of the page:', function () {
+    template.option('layoutRules', {'**/*.md': 'post.md'});
+    template.layout('base.md', 'base {% body %}');
+    template.layout('post.md', '---\nlayout: base.md\n---\npost {% body %}');
+    template.page('a.md', 'abc');
+
+    template.renderSync('a.md').should.equal('base post abc');
+  });
+
+  it('should explain layout data:', function () {
+    template.layout('base.md', '---\nbodyClass: default\n---\n{% body %}');
+    template.page('a.md', '---\nlayout: base.md\nbodyClass: home\n---\nabc');
+
+    var ctx = template.explainContext('a.md');
+    ctx.bodyClass.value.should.equal('home');
+    ctx.bodyClass.shadowed.should.eql([{layer: 'layout:base.md', value: 'default'}]);
+  });
+});
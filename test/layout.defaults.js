@@ -0,0 +1,104 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('default layouts:', function () {
+  beforeEach(function () {
+    template = new Template();
+    template.layout('default.md', 'default {% body %}');
+    template.layout('post.md', 'post {% body %}');
+    template.layout('api.md', 'api {% body %}');
+    template.layout('other.md', 'other {% body %}');
+  });
+
+  describe('template types:', function () {
+    it('should use the layout defined for a template type:', function () {
+      template.create('post', 'posts', { isRenderable: true, layout: 'post.md' });
+      template.post('a.md', 'abc');
+      template.renderSync('a.md').should.equal('post abc');
+    });
+
+    it('should prefer the layout defined on a template:', function () {
+      template.create('post', 'posts', { isRenderable: true, layout: 'post.md' });
+      template.post('a.md', '---\nlayout: other.md\n---\nabc');
+      template.renderSync('a.md').should.equal('other abc');
+    });
+
+    it('should prefer the type layout over rules and the global layout:', function () {
+      template.option('layout', 'default.md');
+      template.option('layoutRules', {'posts/**': 'api.md'});
+      template.create('post', 'posts', { isRenderable: true, layout: 'post.md' });
+      template.post('posts/a.md', 'abc');
+      template.renderSync('a.md').should.equal('post abc');
+    });
+  });
+
+  describe('path rules:', function () {
+    it('should use the layout of the first rule that matches the path:', function () {
+      template.option('layoutRules', {
+        'docs/api/**': 'api.md',
+        'docs/**': 'other.md'
+      });
+      template.page('docs/api/a.md', 'a');
+      template.page('docs/b.md', 'b');
+      template.page('c.md', 'c');
+
+      template.renderSync('a.md').should.equal('api a');
+      template.renderSync('b.md').should.equal('other b');
+      template.renderSync('c.md').should.equal('c');
+    });
+
+    it('should support an array of rules with regex patterns:', function () {
+      template.option('layoutRules', [
+        {pattern: /\/api\//, layout: 'api.md'}
+      ]);
+      template.page('docs/api/a.md', 'a');
+      template.renderSync('a.md').should.equal('api a');
+    });
+
+    it('should use rules before the global layout:', function () {
+      template.option('layout', 'default.md');
+      template.option('layoutRules', {'docs/api/**': 'api.md'});
+      template.page('docs/api/a.md', 'a');
+      template.page('docs/b.md', 'b');
+
+      template.renderSync('a.md').should.equal('api a');
+      template.renderSync('b.md').should.equal('default b');
+      template.getLayoutStack('a.md').layouts[0].source.should.equal('rule');
+    });
+
+    it('should not use rules for partials:', function () {
+      template.option('layoutRules', {'**/*.md': 'api.md'});
+      template.partial('nav.md', 'nav');
+      template.page('a.md', '<%= partial("nav.md") %>');
+      template.renderSync('a.md').should.equal('api nav');
+    });
+  });
+
+  describe('opting out:', function () {
+    it('should not use a layout when `layout` is false in front matter:', function () {
+      template.option('layout', 'default.md');
+      template.option('layoutRules', {'**/*.md': 'api.md'});
+      template.create('post', 'posts', { isRenderable: true, layout: 'post.md' });
+      template.post('a.md', '---\nlayout: false\n---\nabc');
+      template.renderSync('a.md').should.equal('abc');
+    });
+
+    it('should not use a layout when `layout` is false on a type:', function () {
+      template.option('layout', 'default.md');
+      template.create('doc', 'docs', { isRenderable: true, layout: false });
+      template.doc('a.md', 'abc');
+      template.renderSync('a.md').should.equal('abc');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('rendering layouts with their own engines:', function () {
+  beforeEach(function () {
+    template = new Template();
+    template.engine('hbs', require('engine-handlebars'));
+    template.option('layoutEngines', true);
+    template.addHelper('upper', function (str) {
+      return String(str).toUpperCase();
+    });
+  });
+
+  it('should render a layout with the engine for its extension:', function () {
+    template.layout('base.hbs', '<title>{{#if title}}{{title}}{{/if}}</title><main>{% body %}</main>');
+    template.page('a.md', '---\nlayout: base.hbs\ntitle: Home\n---\n<%= title %>');
+
+    template.renderSync('a.md').should.equal('<title>Home</title><main>Home</main>');
+  });
+
+  it('should not render the inner content again:', function () {
+    template.layout('base.hbs', '<main>{% body %}</main>');
+    template.page('a.md', '---\nlayout: base.hbs\n---\n<%= "{{" %>literal}}');
+
+    template.renderSync('a.md').should.equal('<main>{{literal}}</main>');
+  });
+
+  it('should render nested layouts with different engines:', function () {
+    template.layout('base.hbs', '---\nsite: Site\n---\n<title>{{site}}</title>{% body %}');
+    template.layout('post.md', '---\nlayout: base.hbs\n---\n<article><%= title %>: {% body %}</article>');
+    template.page('a.md', '---\nlayout: post.md\ntitle: Post\n---\nabc');
+
+    template.renderSync('a.md').should.equal('<title>Site</title><article>Post: abc</article>');
+  });
+
+  it('should render layouts with helpers with `.render()`:', function (done) {
+    template.layout('base.hbs', '<title>{{upper title}}</title>{% body %}');
+    template.page('a.md', '---\nlayout: base.hbs\ntitle: Home\n---\n<%= title %>');
+
+    template.render('a.md', function (err, content) {
+      if (err) return done(err);
+      content.should.equal('<title>HOME</title>Home');
+      done();
+    });
+  });
+
+  it('should insert regions:', function () {
+    template.layout('base.hbs', '<aside>{% region "sidebar" %}default{% endregion %}</aside>{% body %}');
+    template.page('a.md', '---\nlayout: base.hbs\n---\n{% region "sidebar" %}<%= 1 + 1 %>{% endregion %}abc');
+    template.page('b.md', '---\nlayout: base.hbs\n---\nabc');
+
+    template.renderSync('a.md').should.equal('<aside>2</aside>abc');
+    template.renderSync('b.md').should.equal('<aside>default</aside>abc');
+  });
+
+  it('should report errors in the layout:', function () {
+    template.layout('base.hbs', '{{#each}}{% body %}');
+    template.page('a.md', '---\nlayout: base.hbs\n---\nabc');
+
+    try {
+      template.renderSync('a.md');
+      throw new Error('expected an error');
+    } catch (err) {
+      err.should.be.instanceof(Template.TemplateRenderError);
+      err.key.should.equal('base.hbs');
+    }
+  });
+
+  it('should splice layouts around the page when the option is disabled:', function () {
+    template.option('layoutEngines', false);
+    template.layout('base.md', '<main>{% body %}</main>');
+    template.page('a.md', '---\nlayout: base.md\n---\n<%= title %>', {title: 'A'});
+
+    template.renderSync('a.md').should.equal('<main>A</main>');
+  });
+});
@@ -0,0 +1,124 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('layout errors:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  describe('cycles:', function () {
+    it('should throw an error naming the full chain:', function () {
+      template.layout('a.md', '---\nlayout: b.md\n---\na {% body %}');
+      template.layout('b.md', '---\nlayout: a.md\n---\nb {% body %}');
+      template.page('home.md', '---\nlayout: a.md\n---\nhome');
+
+      try {
+        template.renderSync('home.md');
+        throw new Error('expected an error');
+      } catch (err) {
+        err.name.should.equal('TemplateRenderError');
+        err.message.should.equal('Layout cycle detected for "home.md": home.md → a.md → b.md → a.md. (home.md)');
+        err.key.should.equal('home.md');
+        err.path.should.equal('home.md');
+        err.layout.should.equal('a.md');
+        err.chain.should.eql(['home.md', 'a.md', 'b.md', 'a.md']);
+      }
+    });
+
+    it('should detect layouts that use themselves:', function () {
+      template.layout('a.md', '---\nlayout: a.md\n---\na {% body %}');
+      template.page('home.md', '---\nlayout: a.md\n---\nhome');
+
+      (function () {
+        template.renderSync('home.md');
+      }).should.throw('Layout cycle detected for "home.md": home.md → a.md → a.md. (home.md)');
+    });
+
+    it('should pass the error to the render callback:', function (done) {
+      template.layout('a.md', '---\nlayout: b.md\n---\na {% body %}');
+      template.layout('b.md', '---\nlayout: a.md\n---\nb {% body %}');
+      template.page('home.md', '---\nlayout: b.md\n---\nhome');
+
+      template.render('home.md', function (err) {
+        err.name.should.equal('TemplateRenderError');
+        err.key.should.equal('home.md');
+        err.chain.should.eql(['home.md', 'b.md', 'a.md', 'b.md']);
+        done();
+      });
+    });
+
+    it('should throw from `.getLayoutStack()`:', function () {
+      template.layout('a.md', '---\nlayout: a.md\n---\na {% body %}');
+      template.page('home.md', '---\nlayout: a.md\n---\nhome');
+
+      (function () {
+        template.getLayoutStack('home.md');
+      }).should.throw(/^Layout cycle detected/);
+    });
+  });
+
+  describe('missing layouts:', function () {
+    it('should throw an error naming the template that requested the layout:', function () {
+      template.layout('a.md', '---\nlayout: missing.md\n---\na {% body %}');
+      template.page('home.md', '---\nlayout: a.md\n---\nhome');
+
+      try {
+        template.renderSync('home.md');
+        throw new Error('expected an error');
+      } catch (err) {
+        err.name.should.equal('TemplateRenderError');
+        err.message.should.equal('Layout "missing.md" was not found, requested by "a.md": home.md → a.md → missing.md. (home.md)');
+        err.key.should.equal('home.md');
+        err.layout.should.equal('missing.md');
+        err.chain.should.eql(['home.md', 'a.md', 'missing.md']);
+      }
+    });
+
+    it('should pass a `TemplateRenderError` to the render callback:', function (done) {
+      template.page('home.md', '---\nlayout: nope.md\n---\nhome');
+
+      template.render('home.md', function (err) {
+        err.name.should.equal('TemplateRenderError');
+        err.message.should.equal('Layout "nope.md" was not found, requested by "home.md": home.md → nope.md. (home.md)');
+        err.key.should.equal('home.md');
+        err.path.should.equal('home.md');
+        err.chain.should.eql(['home.md', 'nope.md']);
+        done();
+      });
+    });
+
+    it('should emit a warning when `missingLayout` is `warn`:', function () {
+      var warnings = [];
+      template.on('warning', function (err) {
+        warnings.push(err.message);
+      });
+
+      template.option('missingLayout', 'warn');
+      template.layout('a.md', '---\nlayout: missing.md\n---\na {% body %}');
+      template.page('home.md', '---\nlayout: a.md\n---\nhome');
+
+      template.renderSync('home.md').should.equal('a home');
+      warnings.should.eql([
+        'Layout "missing.md" was not found, requested by "a.md": home.md → a.md → missing.md.'
+      ]);
+    });
+
+    it('should render without a layout when the first layout is missing:', function () {
+      template.option('missingLayout', 'warn');
+      template.page('home.md', '---\nlayout: missing.md\n---\nhome');
+
+      template.renderSync('home.md').should.equal('home');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('partial layouts:', function () {
+  beforeEach(function () {
+    template = new Template();
+    template.layout('card.md', '<div class="card">{% body %}</div>');
+  });
+
+  it('should wrap a partial with the layout from its front matter:', function () {
+    template.partial('alert.md', '---\nlayout: card.md\n---\n<%= msg %>');
+    template.page('a.md', '<%= partial("alert.md", {msg: "Hi"}) %>');
+
+    template.renderSync('a.md').should.equal('<div class="card">Hi</div>');
+  });
+
+  it('should wrap every partial with the `partialLayout` option:', function () {
+    template.option('partialLayout', 'card.md');
+    template.partial('alert.md', '<%= msg %>');
+    template.page('a.md', '<%= partial("alert.md", {msg: "Hi"}) %>');
+
+    template.renderSync('a.md').should.equal('<div class="card">Hi</div>');
+  });
+
+  it('should not wrap partials with the global `layout` option:', function () {
+    template.layout('default.md', '<main>{% body %}</main>');
+    template.option('layout', 'default.md');
+    template.partial('alert.md', 'Hi');
+    template.page('a.md', '<%= partial("alert.md") %>');
+
+    template.renderSync('a.md').should.equal('<main>Hi</main>');
+  });
+
+  it('should prefer the layout of the partial over `partialLayout`:', function () {
+    template.option('partialLayout', 'card.md');
+    template.layout('box.md', '<div class="box">{% body %}</div>');
+    template.partial('alert.md', '---\nlayout: box.md\n---\nHi');
+    template.partial('note.md', '---\nlayout: false\n---\nNote');
+    template.page('a.md', '<%= partial("alert.md") %><%= partial("note.md") %>');
+
+    template.renderSync('a.md').should.equal('<div class="box">Hi</div>Note');
+  });
+
+  it('should use the default layout of the partial type:', function () {
+    template.create('alert', 'alerts', {layout: 'card.md'});
+    template.alert('warning.md', '<%= msg %>');
+    template.page('a.md', '<%= alert("warning.md", {msg: "Careful"}) %>');
+
+    template.renderSync('a.md').should.equal('<div class="card">Careful</div>');
+    template.getLayoutStack('warning.md').layouts.should.eql([
+      {name: 'card.md', template: 'warning.md', source: 'type'}
+    ]);
+  });
+
+  it('should support nested layouts and nested partials:', function () {
+    template.layout('frame.md', '<section>{% body %}</section>');
+    template.layout('panel.md', '---\nlayout: frame.md\n---\n<div class="panel">{% body %}</div>');
+    template.partial('item.md', '---\nlayout: card.md\n---\n<%= name %>');
+    template.partial('list.md', '---\nlayout: panel.md\n---\n<%= partial("item.md", {name: "a"}) %>');
+    template.page('a.md', '<%= partial("list.md") %>');
+
+    template.renderSync('a.md').should.equal('<section><div class="panel"><div class="card">a</div></div></section>');
+  });
+
+  it('should not modify the cached partial:', function () {
+    template.partial('alert.md', '---\nlayout: card.md\n---\nHi');
+    template.page('a.md', '<%= partial("alert.md") %>');
+
+    template.renderSync('a.md');
+    template.renderSync('a.md').should.equal('<div class="card">Hi</div>');
+    template.cache.partials['alert.md'].content.should.equal('Hi');
+  });
+
+  it('should apply layouts to partials passed to engines:', function () {
+    template.partial('alert.md', '---\nlayout: card.md\n---\nHi');
+    template.page('a.md', '<%= partials["alert.md"] %>');
+
+    template.renderSync('a.md').should.equal('<div class="card">Hi</div>');
+  });
+});
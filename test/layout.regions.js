@@ -0,0 +1,102 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('layout regions:', function () {
+  beforeEach(function () {
+    template = new Template();
+    template.layout('base.md', '<head>{% region "head" %}</head><aside>{% region "sidebar" %}default{% endregion %}</aside><main>{% body %}</main>');
+  });
+
+  it('should use the default content when a page has no regions:', function () {
+    template.page('a.md', '---\nlayout: base.md\n---\nabc');
+    template.renderSync('a.md').should.equal('<head></head><aside>default</aside><main>abc</main>');
+  });
+
+  it('should insert regions defined in the content of a page:', function () {
+    template.page('a.md', [
+      '---',
+      'layout: base.md',
+      '---',
+      '{% region "sidebar" %}<nav><%= title %></nav>{% endregion %}abc'
+    ].join('\n'), {title: 'Nav'});
+
+    template.renderSync('a.md').should.equal('<head></head><aside><nav>Nav</nav></aside><main>abc</main>');
+  });
+
+  it('should insert regions defined in front matter:', function () {
+    template.page('a.md', [
+      '---',
+      'layout: base.md',
+      'regions:',
+      '  head: <title>A</title>',
+      '---',
+      'abc'
+    ].join('\n'));
+
+    template.renderSync('a.md').should.equal('<head><title>A</title></head><aside>default</aside><main>abc</main>');
+  });
+
+  it('should insert regions passed on the render locals:', function () {
+    template.page('a.md', '---\nlayout: base.md\n---\nabc');
+    template.renderSync('a.md', {regions: {sidebar: 'side'}})
+      .should.equal('<head></head><aside>side</aside><main>abc</main>');
+  });
+
+  it('should prefer region blocks over front matter:', function () {
+    template.page('a.md', [
+      '---',
+      'layout: base.md',
+      'regions:',
+      '  sidebar: front matter',
+      '---',
+      '{% region \'sidebar\' %}block{% endregion %}abc'
+    ].join('\n'));
+
+    template.renderSync('a.md').should.equal('<head></head><aside>block</aside><main>abc</main>');
+  });
+
+  it('should pass regions through nested layouts:', function () {
+    template.layout('post.md', [
+      '---',
+      'layout: base.md',
+      'regions:',
+      '  head: <title>Post</title>',
+      '---',
+      '<article>{% body %}</article><footer>{% region "footer" %}</footer>'
+    ].join('\n'));
+    template.page('a.md', [
+      '---',
+      'layout: post.md',
+      '---',
+      '{% region "sidebar" %}side{% endregion %}{% region "footer" %}foot{% endregion %}abc'
+    ].join('\n'));
+
+    template.renderSync('a.md').should.equal([
+      '<head><title>Post</title></head>',
+      '<aside>side</aside>',
+      '<main><article>abc</article><footer>foot</footer></main>'
+    ].join(''));
+  });
+
+  it('should remove region blocks from pages without a layout:', function () {
+    template.page('a.md', '{% region "sidebar" %}side{% endregion %}abc');
+    template.renderSync('a.md').should.equal('abc');
+  });
+
+  it('should not modify the cached layout:', function () {
+    template.page('a.md', '---\nlayout: base.md\n---\nabc');
+    template.renderSync('a.md');
+    template.cache.layouts['base.md'].content.should.match(/\{% region "head" %\}/);
+  });
+});
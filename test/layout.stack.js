@@ -0,0 +1,110 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('.getLayoutStack():', function () {
+  beforeEach(function () {
+    template = new Template();
+    template.layout('base.md', '<html>{% body %}</html>');
+    template.layout('default.md', '---\nlayout: base.md\n---\n<main>{% body %}</main>');
+  });
+
+  it('should throw an error when the template does not exist:', function () {
+    (function () {
+      template.getLayoutStack('foo.md');
+    }).should.throw('Template "foo.md" was not found.');
+  });
+
+  it('should return an empty stack when no layout is used:', function () {
+    template.page('a.md', 'abc');
+    template.getLayoutStack('a.md').should.eql({
+      key: 'a.md',
+      layouts: [],
+      layoutTag: '{% body %}'
+    });
+  });
+
+  it('should return the chain of layouts, innermost first:', function () {
+    template.page('a.md', '---\nlayout: default.md\n---\nabc');
+
+    template.getLayoutStack('a.md').layouts.should.eql([
+      {name: 'default.md', template: 'a.md', source: 'front-matter'},
+      {name: 'base.md', template: 'default.md', source: 'front-matter'}
+    ]);
+    template.renderSync('a.md').should.equal('<html><main>abc</main></html>');
+  });
+
+  it('should report layouts defined on locals:', function () {
+    template.page('a.md', 'abc', {layout: 'base.md'});
+    template.getLayoutStack('a.md').layouts[0].source.should.equal('locals');
+  });
+
+  it('should report layouts defined on the options of a template:', function () {
+    template.page('a.md', 'abc', {}, {layout: 'base.md'});
+    template.getLayoutStack('a.md').layouts[0].source.should.equal('template');
+  });
+
+  it('should report layouts defined on the options of a template type:', function () {
+    template.create('post', 'posts', { isRenderable: true, layout: 'default.md' });
+    template.post('a.md', 'abc');
+
+    var stack = template.getLayoutStack('a.md');
+    stack.layouts[0].should.eql({name: 'default.md', template: 'a.md', source: 'type'});
+    stack.layouts[1].source.should.equal('front-matter');
+  });
+
+  it('should report layouts defined on the render locals:', function () {
+    template.page('a.md', 'abc');
+    template.getLayoutStack('a.md', {locals: {layout: 'base.md'}}).layouts.should.eql([
+      {name: 'base.md', template: 'a.md', source: 'render'}
+    ]);
+  });
+
+  it('should use the global `layout` option last:', function () {
+    template.option('layout', 'base.md');
+    template.page('a.md', 'abc');
+    template.page('b.md', '---\nlayout: default.md\n---\nabc');
+
+    template.getLayoutStack('a.md').layouts.should.eql([
+      {name: 'base.md', template: 'a.md', source: 'global'}
+    ]);
+    template.getLayoutStack('b.md').layouts[0].source.should.equal('front-matter');
+    template.renderSync('a.md').should.equal('<html>abc</html>');
+  });
+
+  it('should not use the global `layout` option for partials:', function () {
+    template.option('layout', 'base.md');
+    template.partial('nav.md', 'nav');
+    template.page('a.md', '<%= partial("nav.md") %>');
+
+    template.getLayoutStack('nav.md').layouts.should.eql([]);
+    template.renderSync('a.md').should.equal('<html>nav</html>');
+  });
+
+  it('should not use a layout when `layout` is false:', function () {
+    template.option('layout', 'base.md');
+    template.page('a.md', '---\nlayout: false\n---\nabc');
+
+    template.getLayoutStack('a.md').layouts.should.eql([]);
+    template.renderSync('a.md').should.equal('abc');
+  });
+
+  it('should include the layout tag for custom delimiters:', function () {
+    template.option('layoutDelims', ['{{', '}}']);
+    template.option('layoutTag', 'content');
+    template.engine('tmpl', require('engine-lodash'));
+    template.page('a.tmpl', 'abc');
+
+    template.getLayoutStack('a.tmpl').layoutTag.should.equal('{{ content }}');
+  });
+});
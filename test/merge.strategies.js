@@ -0,0 +1,157 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('merge strategies:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  describe('shallow:', function () {
+    it('should replace objects by default:', function () {
+      template.data({site: {title: 'Site', url: 'a.com'}});
+      template.page('a.md', '<%= site.title %>|<%= site.url %>', {site: {title: 'Page'}});
+
+      template.renderSync('a.md').should.equal('Page|');
+    });
+
+    it('should not modify global data:', function () {
+      template.option('mergeStrategy', 'deep');
+      template.data({site: {title: 'Site'}});
+      template.page('a.md', '<%= site.title %>', {site: {title: 'Page'}});
+
+      template.renderSync('a.md').should.equal('Page');
+      template.get('data').site.should.eql({title: 'Site'});
+    });
+  });
+
+  describe('deep:', function () {
+    it('should merge nested objects:', function () {
+      template.option('mergeStrategy', 'deep');
+      template.data({site: {title: 'Site', url: 'a.com'}});
+      template.page('a.md', '<%= site.title %>|<%= site.url %>', {site: {title: 'Page'}});
+
+      template.renderSync('a.md').should.equal('Page|a.com');
+    });
+
+    it('should replace arrays:', function () {
+      template.option('mergeStrategy', 'deep');
+      template.data({tags: ['a']});
+      template.page('a.md', '<%= tags.join(",") %>', {tags: ['b']});
+
+      template.renderSync('a.md').should.equal('b');
+    });
+  });
+
+  describe('concat-arrays:', function () {
+    it('should concatenate arrays, including nested arrays:', function () {
+      template.option('mergeStrategy', 'concat-arrays');
+      template.data({tags: ['a'], nav: {items: ['x']}});
+      template.page('a.md', '<%= tags.join(",") %>|<%= nav.items.join(",") %>', {
+        tags: ['b'],
+        nav: {items: ['y']}
+      });
+
+      template.renderSync('a.md', {tags: ['c']}).should.equal('a,b,c|x,y');
+    });
+  });
+
+  describe('rules:', function () {
+    it('should use per-key rules, with `*` for other keys:', function () {
+      template.option('mergeStrategy', {'*': 'deep', tags: 'union'});
+      template.data({tags: ['a', 'b'], site: {title: 'Site', url: 'a.com'}});
+      template.page('a.md', '<%= tags.join(",") %>|<%= site.title %>|<%= site.url %>', {
+        tags: ['b', 'c'],
+        site: {title: 'Page'}
+      });
+
+      template.renderSync('a.md').should.equal('a,b,c|Page|a.com');
+    });
+
+    it('should keep front matter with `prefer-front-matter`:', function () {
+      template.option('mergeStrategy', {title: 'prefer-front-matter'});
+      template.page('a.md', '---\ntitle: Front matter\n---\n<%= title %>');
+
+      template.renderSync('a.md', {title: 'Locals'}).should.equal('Front matter');
+    });
+
+    it('should keep template locals with `prefer-locals`:', function () {
+      template.option('mergeStrategy', {title: 'prefer-locals'});
+      template.page('a.md', '---\ntitle: Front matter\n---\n<%= title %>', {title: 'Locals'});
+
+      template.renderSync('a.md').should.equal('Locals');
+    });
+
+    it('should support custom rule functions:', function () {
+      var calls = [];
+      template.option('mergeStrategy', {
+        title: function (a, b, info) {
+          calls.push(info);
+          return a + ' | ' + b;
+        }
+      });
+      template.data({title: 'Site'});
+      template.page('a.md', '<%= title %>', {title: 'Page'});
+
+      template.renderSync('a.md').should.equal('Site | Page');
+      calls.should.eql([{key: 'title', layer: 'template.locals', from: 'data'}]);
+    });
+
+    it('should throw an error for unknown strategies:', function () {
+      template.option('mergeStrategy', 'foo');
+      template.page('a.md', 'abc');
+
+      (function () {
+        template.renderSync('a.md');
+      }).should.throw(/Unknown merge strategy: "foo"/);
+    });
+  });
+
+  describe('template types:', function () {
+    it('should use the strategy defined for a template type:', function () {
+      template.create('post', 'posts', { isRenderable: true, mergeStrategy: 'deep' });
+      template.data({site: {title: 'Site', url: 'a.com'}});
+      template.post('a.md', '<%= site.title %>|<%= site.url %>', {site: {title: 'Post'}});
+      template.page('b.md', '<%= site.title %>|<%= site.url %>', {site: {title: 'Page'}});
+
+      template.renderSync('a.md').should.equal('Post|a.com');
+      template.renderSync('b.md').should.equal('Page|');
+    });
+  });
+
+  describe('partials:', function () {
+    it('should merge partial helper locals using the strategy:', function () {
+      template.option('mergeStrategy', 'deep');
+      template.partial('nav.md', '<%= nav.a %>-<%= nav.b %>', {nav: {a: 'a', b: 'b'}});
+      template.page('a.md', '<%= partial("nav.md", {nav: {b: "B"}}) %>');
+
+      template.renderSync('a.md').should.equal('a-B');
+    });
+
+    it('should not modify the cached partial:', function () {
+      template.partial('nav.md', '<%= title %>', {title: 'Nav'});
+      template.page('a.md', '<%= partial("nav.md", {title: "Helper"}) %>');
+
+      template.renderSync('a.md').should.equal('Helper');
+      template.cache.partials['nav.md'].locals.should.eql({title: 'Nav'});
+    });
+
+    it('should merge partial data onto the context using the strategy:', function () {
+      template.option('mergeStrategy', 'concat-arrays');
+      template.partial('a.md', 'a', {scripts: ['a.js']});
+      template.partial('b.md', 'b', {scripts: ['b.js']});
+
+      template.mergePartials().scripts.should.eql(['a.js', 'b.js']);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('middleware:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  describe('.addMiddleware()', function () {
+    it('should throw an error for unknown stages:', function () {
+      (function () {
+        template.addMiddleware('foo', function () {});
+      }).should.throw('Unknown middleware stage: "foo".');
+    });
+
+    it('should be chainable:', function () {
+      template
+        .addMiddleware('onLoad', function () {})
+        .preRender(function () {})
+        .should.equal(template);
+    });
+  });
+
+  describe('load and parse stages:', function () {
+    it('should run `onLoad` middleware after templates are normalized:', function () {
+      template.onLoad(function (file) {
+        file.data.loaded = true;
+      });
+
+      template.page('a.md', '---\ntitle: A\n---\nabc');
+      template.cache.pages['a.md'].data.should.eql({title: 'A', loaded: true});
+    });
+
+    it('should run `preParse` and `postParse` middleware around parsers:', function () {
+      var order = [];
+      template.preParse(function (file) {
+        order.push('pre:' + file.content);
+        file.content = file.content.replace('title: A', 'title: B');
+      });
+      template.postParse(function (file) {
+        order.push('post:' + file.content);
+      });
+
+      template.page('a.md', '---\ntitle: A\n---\nabc');
+      template.cache.pages['a.md'].data.title.should.equal('B');
+      order.should.eql(['pre:---\ntitle: A\n---\nabc', 'post:abc']);
+    });
+
+    it('should throw when async middleware is used in a sync stage:', function () {
+      template.onLoad(function (file, next) {
+        setTimeout(next, 0);
+      });
+
+      (function () {
+        template.page('a.md', 'abc');
+      }).should.throw(/did not complete synchronously/);
+    });
+  });
+
+  describe('render stages:', function () {
+    it('should run `preLayout` and `postLayout` middleware around layouts:', function () {
+      template.layout('base.md', 'before {% body %} after');
+      template.page('a.md', '---\nlayout: base.md\n---\n<%= title %>', {title: 'A'});
+
+      template.preLayout(function (file) {
+        file.content = '[' + file.content + ']';
+      });
+      template.postLayout(function (file) {
+        file.content = file.content.replace('after', 'AFTER');
+      });
+
+      template.renderSync('a.md', {title: 'a'}).should.equal('before [a] AFTER');
+    });
+
+    it('should allow `preRender` middleware to modify locals:', function (done) {
+      template.page('a.md', '<%= title %>');
+      template.preRender(function (file) {
+        file.locals.title = 'From middleware';
+      });
+
+      template.render('a.md', {title: 'From locals'}, function (err, content) {
+        if (err) return done(err);
+        content.should.equal('From middleware');
+        done();
+      });
+    });
+
+    it('should run `postRender` middleware on the rendered content:', function () {
+      template.page('a.md', '  <%= title %>  ');
+      template.postRender(function (file) {
+        file.content = file.content.trim();
+      });
+
+      template.renderSync('a.md', {title: 'A'}).should.equal('A');
+    });
+
+    it('should not modify the cached template:', function () {
+      template.page('a.md', '<%= title %>', {title: 'A'});
+      template.preRender(function (file) {
+        file.content = 'changed';
+      });
+
+      template.renderSync('a.md').should.equal('changed');
+      template.cache.pages['a.md'].content.should.equal('<%= title %>');
+      template.cache.pages['a.md'].locals.should.eql({title: 'A'});
+    });
+
+    it('should support async middleware with a callback:', function (done) {
+      template.page('a.md', '<%= title %>');
+      template.preLayout(function (file, next) {
+        setTimeout(function () {
+          file.locals.title = 'async';
+          next();
+        }, 5);
+      });
+
+      template.render('a.md', function (err, content) {
+        if (err) return done(err);
+        content.should.equal('async');
+        done();
+      });
+    });
+
+    it('should support middleware that returns a promise:', function () {
+      template.page('a.md', '<%= title %>');
+      template.postRender(function (file) {
+        return Promise.resolve().then(function () {
+          file.content += '!';
+        });
+      });
+
+      return template.renderAsync('a.md', {title: 'A'}).then(function (content) {
+        content.should.equal('A!');
+      });
+    });
+
+    it('should pass middleware errors to the callback:', function (done) {
+      template.page('a.md', '<%= title %>');
+      template.preRender(function (file, next) {
+        next(new Error('middleware failed'));
+      });
+
+      template.render('a.md', function (err) {
+        err.message.should.match(/^middleware failed/);
+        done();
+      });
+    });
+  });
+
+  describe('path patterns:', function () {
+    it('should only run middleware for paths matching a regex:', function () {
+      template.page('a.md', 'a');
+      template.page('b.hbs', 'b');
+      template.postRender(/\.md$/, function (file) {
+        file.content += '!';
+      });
+
+      template.renderSync('a.md').should.equal('a!');
+      template.renderSync('b.hbs').should.equal('b');
+    });
+
+    it('should only run middleware for paths matching a glob:', function () {
+      template.page('docs/api/a.md', 'a');
+      template.page('docs/b.md', 'b');
+      template.postRender('docs/api/**', function (file) {
+        file.content += '!';
+      });
+
+      template.renderSync('a.md').should.equal('a!');
+      template.renderSync('b.md').should.equal('b');
+    });
+  });
+});
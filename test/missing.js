@@ -0,0 +1,140 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('missing templates:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  describe('partial helpers:', function () {
+    it('should throw an error by default:', function () {
+      template.page('a.md', '<%= partial("nav.md") %>');
+
+      (function () {
+        template.renderSync('a.md');
+      }).should.throw(/Partial "nav.md" was not found./);
+    });
+
+    it('should emit a warning and render an empty string with `warn`:', function () {
+      var warnings = [];
+      template.on('warning', function (err) {
+        warnings.push(err);
+      });
+
+      template.option('missing', 'warn');
+      template.page('a.md', 'a<%= partial("nav.md") %>b');
+
+      template.renderSync('a.md').should.equal('ab');
+      warnings.should.have.length(1);
+      warnings[0].message.should.equal('Partial "nav.md" was not found.');
+      warnings[0].key.should.equal('nav.md');
+      warnings[0].type.should.equal('partial');
+    });
+
+    it('should render a placeholder with `placeholder`:', function () {
+      template.option('missing', 'placeholder');
+      template.page('a.md', '<%= partial("nav.md") %>');
+
+      template.renderSync('a.md').should.equal('<!-- missing partial: nav.md -->');
+    });
+
+    it('should use the string returned by a custom function:', function () {
+      template.option('missing', function (key, info) {
+        return '[' + info.plural + ':' + key + ']';
+      });
+      template.page('a.md', '<%= partial("nav.md") %>');
+
+      template.renderSync('a.md').should.equal('[partials:nav.md]');
+    });
+
+    it('should use the `missing` option of the template type:', function () {
+      template.create('snippet', 'snippets', {missing: 'placeholder'});
+      template.page('a.md', '<%= snippet("sidebar.md") %>');
+
+      template.renderSync('a.md').should.equal('<!-- missing snippet: sidebar.md -->');
+    });
+
+    it('should throw an error for unknown policies:', function () {
+      template.option('missing', 'foo');
+      template.page('a.md', '<%= partial("nav.md") %>');
+
+      (function () {
+        template.renderSync('a.md');
+      }).should.throw(/Unknown missing template policy: "foo"./);
+    });
+
+    it('should apply the policy to async partial helpers:', function (done) {
+      template.create('snippet', 'snippets', {missing: 'placeholder'});
+      template.page('a.md', 'a<%= snippetAsync("sidebar.md") %>b');
+
+      template.render('a.md', function (err, content) {
+        if (err) return done(err);
+        content.should.equal('a<!-- missing snippet: sidebar.md -->b');
+        done();
+      });
+    });
+
+    it('should pass errors from async partial helpers to the callback:', function (done) {
+      template.page('a.md', '<%= partialAsync("nav.md") %>');
+
+      template.render('a.md', function (err) {
+        err.message.should.match(/Partial "nav.md" was not found./);
+        done();
+      });
+    });
+  });
+
+  describe('.render():', function () {
+    it('should pass an error for unknown keys when `lookup` is defined:', function (done) {
+      template.render('missing.md', {}, {lookup: true}, function (err) {
+        err.name.should.equal('TemplateRenderError');
+        err.message.should.match(/Template "missing.md" was not found./);
+        err.key.should.equal('missing.md');
+        done();
+      });
+    });
+
+    it('should render a placeholder for unknown keys:', function (done) {
+      template.option('missing', 'placeholder');
+      template.render('missing.md', {}, {lookup: true}, function (err, content) {
+        if (err) return done(err);
+        content.should.equal('<!-- missing template: missing.md -->');
+        done();
+      });
+    });
+
+    it('should use the `missing` option of the type to look up:', function (done) {
+      template.create('post', 'posts', {isRenderable: true, missing: 'placeholder'});
+      template.page('a.md', 'page');
+      template.render('a.md', {}, {lookup: 'posts'}, function (err, content) {
+        if (err) return done(err);
+        content.should.equal('<!-- missing template: a.md -->');
+        done();
+      });
+    });
+
+    it('should render strings that look like keys when `lookup` is not defined:', function (done) {
+      template.renderSync('example.com').should.equal('example.com');
+      template.render('example.com', function (err, content) {
+        if (err) return done(err);
+        content.should.equal('example.com');
+        done();
+      });
+    });
+
+    it('should still render strings that are not keys:', function () {
+      template.renderSync('Hello world.').should.equal('Hello world.');
+    });
+  });
+});
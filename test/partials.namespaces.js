@@ -0,0 +1,90 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('partial namespaces:', function () {
+  beforeEach(function () {
+    template = new Template();
+    template.create('snippet', 'snippets');
+  });
+
+  describe('when `mergePartials` is false:', function () {
+    beforeEach(function () {
+      template.option('mergePartials', false);
+    });
+
+    it('should keep partials of each type on their plural:', function () {
+      template.partial('nav.md', '<nav></nav>');
+      template.snippet('sidebar.md', '<aside></aside>');
+      template.page('a.md', '<%= partials["nav.md"] %><%= snippets["sidebar.md"] %>');
+
+      template.renderSync('a.md').should.equal('<nav></nav><aside></aside>');
+    });
+
+    it('should not merge snippets onto `partials`:', function () {
+      template.snippet('sidebar.md', '<aside></aside>');
+      template.page('a.md', '<%= Object.keys(partials).length %>');
+
+      template.renderSync('a.md').should.equal('0');
+    });
+
+    it('should render partials of other types from the `partial` helper:', function () {
+      template.snippet('sidebar.md', '<aside><%= title %></aside>');
+      template.page('a.md', '<%= partial("snippets:sidebar.md", {title: "Hi"}) %>');
+
+      template.renderSync('a.md').should.equal('<aside>Hi</aside>');
+    });
+  });
+
+  it('should use qualified names when `mergePartials` is true:', function () {
+    template.partial('sidebar.md', 'partial');
+    template.snippet('sidebar.md', 'snippet');
+    template.page('a.md', '<%= partial("sidebar.md") %> <%= partial("snippets:sidebar.md") %> <%= snippet("partials:sidebar.md") %>');
+
+    template.renderSync('a.md').should.equal('partial snippet partial');
+  });
+
+  it('should not treat other prefixes as namespaces:', function () {
+    template.partial('a:b.md', 'colon');
+    template.page('a.md', '<%= partial("a:b.md") %>');
+
+    template.renderSync('a.md').should.equal('colon');
+  });
+
+  it('should report partials with the same name in different types:', function () {
+    var warnings = [];
+    template.on('warning', function (err) {
+      warnings.push(err);
+    });
+
+    template.partial('sidebar.md', 'partial');
+    template.snippet('sidebar.md', 'snippet');
+
+    warnings.should.have.length(1);
+    warnings[0].message.should.equal('Partial "sidebar.md" in "snippets" has the same name as a partial in "partials". '
+      + 'Use "snippets:sidebar.md" or "partials:sidebar.md" to select one.');
+    warnings[0].key.should.equal('sidebar.md');
+    warnings[0].types.should.eql(['partials', 'snippets']);
+  });
+
+  it('should not report partials that are updated:', function () {
+    var warnings = [];
+    template.on('warning', function (err) {
+      warnings.push(err);
+    });
+
+    template.partial('sidebar.md', 'a');
+    template.partial('sidebar.md', 'b');
+    warnings.should.have.length(0);
+  });
+});
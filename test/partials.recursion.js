@@ -0,0 +1,74 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('nested partials:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  it('should render partials that include other partials:', function () {
+    template.partial('item.md', '<li><%= name %></li>');
+    template.partial('nav.md', '<ul><%= partial("item.md", {name: "a"}) %><%= partial("item.md", {name: "b"}) %></ul>');
+    template.page('home.md', '<%= partial("nav.md") %><%= partial("nav.md") %>');
+
+    template.renderSync('home.md').should.equal('<ul><li>a</li><li>b</li></ul><ul><li>a</li><li>b</li></ul>');
+  });
+
+  it('should throw an error when a partial includes itself:', function () {
+    template.partial('nav.md', '<%= partial("nav.md") %>');
+    template.page('home.md', '<%= partial("nav.md") %>');
+
+    (function () {
+      template.renderSync('home.md');
+    }).should.throw(/Partial cycle detected for "home.md": home.md → nav.md → nav.md./);
+  });
+
+  it('should show the include chain of indirect cycles:', function () {
+    template.partial('nav.md', '<%= partial("item.md") %>');
+    template.partial('item.md', '<%= partial("nav.md") %>');
+    template.page('home.md', '<%= partial("nav.md") %>');
+
+    try {
+      template.renderSync('home.md');
+      throw new Error('expected an error');
+    } catch (err) {
+      err.message.should.match(/home.md → nav.md → item.md → nav.md./);
+      err.originalError.chain.should.eql(['home.md', 'nav.md', 'item.md', 'nav.md']);
+    }
+  });
+
+  it('should throw an error when partials are nested too deeply:', function () {
+    template.option('maxPartialDepth', 2);
+    template.partial('a.md', '<%= partial("b.md") %>');
+    template.partial('b.md', '<%= partial("c.md") %>');
+    template.partial('c.md', 'c');
+    template.page('home.md', '<%= partial("a.md") %>');
+
+    (function () {
+      template.renderSync('home.md');
+    }).should.throw(/Partials are nested more than 2 levels deep in "home.md": home.md → a.md → b.md → c.md./);
+  });
+
+  it('should reset the include stack after an error:', function () {
+    template.partial('nav.md', '<%= partial("nav.md") %>');
+    template.partial('item.md', 'item');
+    template.page('home.md', '<%= partial("nav.md") %>');
+    template.page('about.md', '<%= partial("item.md") %>');
+
+    (function () {
+      template.renderSync('home.md');
+    }).should.throw();
+    template.renderSync('about.md').should.equal('item');
+  });
+});
@@ -0,0 +1,130 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var engines = require('engines');
+var Template = require('..');
+var TemplateRenderError = Template.TemplateRenderError;
+var template = new Template();
+
+
+describe('render errors:', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  describe('.renderSync()', function () {
+    it('should throw a `TemplateRenderError` when the engine fails:', function () {
+      template.page('a.md', '<%= foo %>');
+
+      (function () {
+        template.renderSync('a.md');
+      }).should.throw(TemplateRenderError);
+    });
+
+    it('should record the template key, path, ext and engine:', function () {
+      template.page('a.md', 'abc <%= foo %>');
+
+      try {
+        template.renderSync('a.md');
+        throw new Error('expected an error');
+      } catch (err) {
+        err.name.should.equal('TemplateRenderError');
+        err.key.should.equal('a.md');
+        err.path.should.equal('a.md');
+        err.ext.should.equal('.md');
+        err.engine.should.equal('.md');
+        err.originalError.should.be.instanceof(ReferenceError);
+        err.message.should.match(/^foo is not defined/);
+      }
+    });
+
+    it('should record the layout stack that was applied:', function () {
+      template.layout('base.md', 'base\n{% body %}');
+      template.layout('default.md', '---\nlayout: base.md\n---\ndefault\n{% body %}');
+      template.page('a.md', '---\nlayout: default.md\n---\n<%= foo %>');
+
+      try {
+        template.renderSync('a.md');
+        throw new Error('expected an error');
+      } catch (err) {
+        err.layouts.should.eql(['base.md', 'default.md']);
+      }
+    });
+
+    it('should report the line and column in the original file, after front matter:', function () {
+      template.page('a.md', '---\ntitle: A\n---\nfirst line\n  <%= foo %>');
+
+      try {
+        template.renderSync('a.md');
+        throw new Error('expected an error');
+      } catch (err) {
+        err.line.should.equal(5);
+        err.column.should.equal(7);
+        err.message.should.equal('foo is not defined (a.md:5:7)');
+      }
+    });
+
+    it('should use line numbers reported by the engine:', function () {
+      template.engine('hbs', engines.handlebars);
+      template.page('a.hbs', '---\ntitle: A\n---\nfirst line\n{{#if}}');
+
+      try {
+        template.renderSync('a.hbs');
+        throw new Error('expected an error');
+      } catch (err) {
+        err.engine.should.equal('.hbs');
+        err.line.should.equal(5);
+      }
+    });
+
+    it('should throw an error naming helpers that return a Promise:', function () {
+      template.addHelper('later', function (val) {
+        return Promise.resolve(val);
+      });
+      template.page('a.md', 'x<%= later(1) %>y');
+
+      try {
+        template.renderSync('a.md');
+        throw new Error('expected an error');
+      } catch (err) {
+        err.should.be.instanceof(TemplateRenderError);
+        err.message.should.match(/^Helper "later" returned a Promise/);
+        err.helper.should.equal('later');
+        template._.helpers._.waiting.should.have.length(0);
+      }
+    });
+
+    it('should resolve Promises from partials rendered during `.render()`:', function (done) {
+      template.addHelper('later', function (val) {
+        return Promise.resolve(val);
+      });
+      template.partial('p.md', '[<%= later(2) %>]');
+      template.page('a.md', 'x<%= partial("p.md") %>y');
+
+      template.render('a.md', function (err, content) {
+        if (err) return done(err);
+        content.should.equal('x[2]y');
+        done();
+      });
+    });
+  });
+
+  describe('.render()', function () {
+    it('should pass a `TemplateRenderError` to the callback:', function (done) {
+      template.page('a.md', '<%= foo %>');
+
+      template.render('a.md', function (err) {
+        err.should.be.instanceof(TemplateRenderError);
+        err.key.should.equal('a.md');
+        done();
+      });
+    });
+  });
+});
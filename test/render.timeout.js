@@ -0,0 +1,140 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('render timeouts and cancellation:', function () {
+  var called;
+
+  beforeEach(function () {
+    template = new Template();
+    called = [];
+
+    template.addHelperAsync('hang', function (str, next) {
+      called.push('hang');
+    });
+    template.addHelperAsync('wait', function (str, next) {
+      called.push('wait');
+      setTimeout(function () {
+        next(null, str);
+      }, 5);
+    });
+  });
+
+  describe('timeout:', function () {
+    it('should pass an error naming the template and outstanding helper:', function (done) {
+      template.page('a.md', '<%= hang("a") %>');
+
+      template.render('a.md', {}, {timeout: 20}, function (err, content) {
+        err.should.be.instanceof(Error);
+        err.code.should.equal('ETIMEDOUT');
+        err.key.should.equal('a.md');
+        err.helper.should.equal('hang');
+        err.helpers.should.eql(['hang']);
+        err.message.should.equal('Rendering "a.md" timed out after 20ms, waiting for helper "hang".');
+        should.not.exist(content);
+        done();
+      });
+    });
+
+    it('should use the `timeout` option by default:', function (done) {
+      template.option('timeout', 20);
+      template.page('a.md', '<%= hang("a") %>');
+
+      template.render('a.md', function (err) {
+        err.code.should.equal('ETIMEDOUT');
+        done();
+      });
+    });
+
+    it('should not call back again when rendering finishes in time:', function (done) {
+      var count = 0;
+      template.page('a.md', '<%= wait("a") %>');
+
+      template.render('a.md', {}, {timeout: 20}, function (err, content) {
+        count++;
+        if (err) return done(err);
+        content.should.equal('a');
+      });
+
+      setTimeout(function () {
+        count.should.equal(1);
+        done();
+      }, 40);
+    });
+
+    it('should skip helpers that were not called yet:', function (done) {
+      template.page('a.md', '<%= hang("a") %><%= wait("b") %>');
+
+      template.render('a.md', {}, {timeout: 20}, function (err) {
+        err.helpers.should.eql(['hang']);
+        err.queued.should.eql(['wait']);
+        err.message.should.equal('Rendering "a.md" timed out after 20ms, waiting for helper "hang".');
+        setTimeout(function () {
+          called.should.eql(['hang']);
+          done();
+        }, 20);
+      });
+    });
+  });
+
+  describe('signal:', function () {
+    it('should abort the render when the signal is aborted:', function (done) {
+      var controller = new AbortController();
+      template.page('a.md', '<%= hang("a") %>');
+
+      template.render('a.md', {}, {signal: controller.signal}, function (err) {
+        err.code.should.equal('ABORT_ERR');
+        err.message.should.equal('Rendering "a.md" was aborted, waiting for helper "hang".');
+        done();
+      });
+      setTimeout(function () {
+        controller.abort();
+      }, 5);
+    });
+
+    it('should not render when the signal was already aborted:', function (done) {
+      template.page('a.md', '<%= wait("a") %>');
+
+      template.render('a.md', {}, {signal: {aborted: true}}, function (err) {
+        err.code.should.equal('ABORT_ERR');
+        err.message.should.equal('Rendering "a.md" was aborted.');
+        setTimeout(function () {
+          called.should.eql([]);
+          done();
+        }, 10);
+      });
+    });
+  });
+
+  describe('promises and batches:', function () {
+    it('should reject the promise from `.renderAsync()`:', function () {
+      template.page('a.md', '<%= hang("a") %>');
+
+      return template.renderAsync('a.md', {}, {timeout: 20}).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.code.should.equal('ETIMEDOUT');
+      });
+    });
+
+    it('should time out each template in `.renderType()`:', function () {
+      template.page('a.md', '<%= hang("a") %>');
+      template.page('b.md', '<%= wait("b") %>');
+
+      return template.renderType('pages', {}, {timeout: 20}).then(function (res) {
+        res.content.should.eql({'b.md': 'b'});
+        res.errors['a.md'].code.should.equal('ETIMEDOUT');
+      });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/*!
+ * view-cache <https://github.com/jonschlinkert/view-cache>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('template renderAsync', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  describe('when a string is passed to `.renderAsync()`:', function () {
+    it('should return a promise for the rendered content:', function () {
+      var promise = template.renderAsync('<%= name %>', {name: 'Jon Schlinkert', ext: '.html'});
+      promise.should.have.property('then');
+
+      return promise.then(function (content) {
+        content.should.equal('Jon Schlinkert');
+      });
+    });
+  });
+
+  describe('when the name of a cached template is passed to `.renderAsync()`:', function () {
+    it('should get the template and render it:', function () {
+      template.page('aaa.md', '<%= name %>', {name: 'Jon Schlinkert'});
+
+      return template.renderAsync('aaa.md').then(function (content) {
+        content.should.equal('Jon Schlinkert');
+      });
+    });
+  });
+
+  describe('when helpers are used:', function () {
+    it('should resolve helpers that return promises:', function () {
+      template.addHelper('upper', function (str) {
+        return Promise.resolve(str.toUpperCase());
+      });
+
+      template.page('a.md', '<%= upper(name) %>');
+      return template.renderAsync('a.md', {name: 'Jon'}).then(function (content) {
+        content.should.equal('JON');
+      });
+    });
+
+    it('should resolve async helpers that return promises:', function () {
+      template.addHelperAsync('lower', function (str) {
+        return Promise.resolve(str.toLowerCase());
+      });
+
+      template.page('a.md', '<%= lower(name) %>');
+      return template.renderAsync('a.md', {name: 'Jon'}).then(function (content) {
+        content.should.equal('jon');
+      });
+    });
+  });
+
+  describe('when an error occurs:', function () {
+    it('should reject with engine errors:', function () {
+      template.page('a.md', '<%= foo.bar %>');
+
+      return template.renderAsync('a.md').then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.should.be.instanceof(Error);
+        err.message.should.match(/foo/);
+      });
+    });
+
+    it('should reject with errors passed to an async helper callback:', function () {
+      template.addHelperAsync('fail', function (str, next) {
+        next(new Error('helper failed'));
+      });
+
+      template.page('a.md', '<%= fail(name) %>');
+      return template.renderAsync('a.md', {name: 'Jon'}).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.message.should.match(/^helper failed/);
+        err.helper.should.equal('fail');
+      });
+    });
+
+    it('should reject with errors from rejected helper promises:', function () {
+      template.addHelper('fail', function () {
+        return Promise.reject(new Error('rejected'));
+      });
+
+      template.page('a.md', '<%= fail() %>');
+      return template.renderAsync('a.md').then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.message.should.match(/^rejected/);
+        err.helper.should.equal('fail');
+      });
+    });
+
+    it('should not keep helper errors after the render is done:', function () {
+      template.addHelperAsync('fail', function (str, next) {
+        next(new Error('helper failed: ' + str));
+      });
+
+      template.page('a.md', '<%= fail("a") %><%= fail("b") %>');
+      return template.renderAsync('a.md').then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.message.should.match(/^helper failed: a/);
+        Object.keys(template._.helperErrors).should.eql([]);
+      });
+    });
+
+    it('should reject with parser errors:', function () {
+      template.parserSync('md', function () {
+        throw new Error('parser failed');
+      });
+
+      return template.renderAsync({path: 'a.md', content: 'abc'}).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.name.should.equal('TemplateRenderError');
+        err.message.should.equal('parser failed (a.md)');
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('incremental rendering:', function () {
+  beforeEach(function (done) {
+    template = new Template();
+    template.partial('nav.md', '<%= partial("item.md") %>');
+    template.partial('item.md', 'item');
+    template.partial('footer.md', 'footer');
+    template.layout('base.md', 'base {% body %}');
+    template.data({site: 'Site'});
+    template.page('a.md', '<%= partial("nav.md") %>');
+    template.page('b.md', '---\nlayout: base.md\n---\n<%= partial("footer.md") %>');
+    template.page('c.md', '<%= site %>');
+    template.renderType('pages', done);
+  });
+
+  it('should not render anything when nothing changed:', function (done) {
+    template.renderChanged(function (err, res) {
+      if (err) return done(err);
+      res.rendered.should.eql([]);
+      res.skipped.should.eql(['a.md', 'b.md', 'c.md']);
+      done();
+    });
+  });
+
+  it('should re-render the pages that use a changed partial:', function (done) {
+    template.partial('item.md', 'ITEM');
+    template.invalidate('item.md').renderChanged(function (err, res) {
+      if (err) return done(err);
+      res.rendered.should.eql(['a.md']);
+      res.skipped.should.eql(['b.md', 'c.md']);
+      res.content.should.eql({'a.md': 'ITEM'});
+      done();
+    });
+  });
+
+  it('should re-render the pages that use a changed layout:', function (done) {
+    template.layout('base.md', 'BASE {% body %}');
+    template.invalidate(['base.md']).renderChanged(function (err, res) {
+      if (err) return done(err);
+      res.rendered.should.eql(['b.md']);
+      res.content['b.md'].should.equal('BASE footer');
+      done();
+    });
+  });
+
+  it('should re-render the pages that use a changed data key:', function (done) {
+    template.data({site: 'New site'});
+    template.invalidate('site').renderChanged(function (err, res) {
+      if (err) return done(err);
+      res.rendered.should.eql(['c.md']);
+      res.content['c.md'].should.equal('New site');
+      done();
+    });
+  });
+
+  it('should return a promise when no callback is passed:', function () {
+    template.page('c.md', 'changed');
+    template.invalidate('c.md');
+
+    return template.renderChanged().then(function (res) {
+      res.content.should.eql({'c.md': 'changed'});
+    });
+  });
+
+  it('should render pages that were never rendered:', function (done) {
+    template.page('d.md', 'd');
+    template.invalidate('item.md').renderChanged(function (err, res) {
+      if (err) return done(err);
+      res.rendered.should.eql(['a.md', 'd.md']);
+      done();
+    });
+  });
+
+  it('should only render changes once:', function (done) {
+    template.invalidate('item.md').renderChanged(function (err) {
+      if (err) return done(err);
+      template.renderChanged(function (err, res) {
+        if (err) return done(err);
+        res.rendered.should.eql([]);
+        done();
+      });
+    });
+  });
+
+  it('should not re-load templates that were not loaded from disk:', function (done) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-'));
+    var filepath = path.join(dir, 'f.md');
+    fs.writeFileSync(filepath, 'on disk');
+
+    template.page(filepath, 'in memory');
+    template.renderSync('f.md').should.equal('in memory');
+
+    template.invalidate(filepath).renderChanged(function (err, res) {
+      fs.unlinkSync(filepath);
+      fs.rmdirSync(dir);
+      if (err) return done(err);
+
+      res.rendered.should.eql(['f.md']);
+      res.content['f.md'].should.equal('in memory');
+      done();
+    });
+  });
+
+  it('should re-load templates from their source path:', function (done) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-'));
+    var filepath = path.join(dir, 'e.md');
+    fs.writeFileSync(filepath, 'before <%= name %>');
+
+    template.page(filepath, {name: 'E'});
+    template.renderSync('e.md').should.equal('before E');
+
+    fs.writeFileSync(filepath, 'after <%= name %>');
+    template.invalidate(filepath).renderChanged(function (err, res) {
+      fs.unlinkSync(filepath);
+      fs.rmdirSync(dir);
+      if (err) return done(err);
+
+      res.rendered.should.eql(['e.md']);
+      res.content['e.md'].should.equal('after E');
+      done();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/*!
+ * template <https://github.com/jonschlinkert/template>
+ *
+ * Copyright (c) 2014 Jon Schlinkert, contributors
+ * Licensed under the MIT License (MIT)
+ */
+
+'use strict';
+
+var should = require('should');
+var Template = require('..');
+var template = new Template();
+
+
+describe('.renderType():', function () {
+  beforeEach(function () {
+    template = new Template();
+  });
+
+  it('should render every template of the given type:', function (done) {
+    template.page('a.md', '<%= name %>-a');
+    template.page('b.md', '<%= name %>-b');
+
+    template.renderType('pages', {name: 'x'}, function (err, res) {
+      if (err) return done(err);
+      res.content.should.eql({'a.md': 'x-a', 'b.md': 'x-b'});
+      res.errors.should.eql({});
+      done();
+    });
+  });
+
+  it('should render custom renderable types:', function (done) {
+    template.create('post', 'posts', { isRenderable: true });
+    template.post('a.md', '<%= title %>', {title: 'Post'});
+
+    template.renderType('posts', function (err, res) {
+      if (err) return done(err);
+      res.content['a.md'].should.equal('Post');
+      done();
+    });
+  });
+
+  it('should render the templates of the given type when keys collide:', function (done) {
+    template.create('post', 'posts', { isRenderable: true });
+    template.page('a.md', 'page');
+    template.post('a.md', 'post');
+
+    template.renderType('posts', function (err, res) {
+      if (err) return done(err);
+      res.content.should.eql({'a.md': 'post'});
+      done();
+    });
+  });
+
+  it('should return a promise when no callback is passed:', function () {
+    template.page('a.md', '<%= name %>');
+
+    return template.renderType('pages', {name: 'x'}).then(function (res) {
+      res.content['a.md'].should.equal('x');
+    });
+  });
+
+  it('should collect errors for each key by default:', function (done) {
+    template.page('a.md', '<%= name %>');
+    template.page('b.md', '<%= foo %>');
+
+    template.renderType('pages', {name: 'x'}, function (err, res) {
+      if (err) return done(err);
+      res.content.should.eql({'a.md': 'x'});
+      res.errors.should.have.property('b.md');
+      res.errors['b.md'].key.should.equal('b.md');
+      done();
+    });
+  });
+
+  it('should stop at the first error when `failFast` is defined:', function (done) {
+    template.page('a.md', '<%= foo %>');
+    template.page('b.md', '<%= name %>');
+
+    template.renderType('pages', {name: 'x'}, {failFast: true, concurrency: 1}, function (err, res) {
+      err.should.be.instanceof(Error);
+      err.key.should.equal('a.md');
+      res.content.should.eql({});
+      done();
+    });
+  });
+
+  it('should not render more templates at once than `concurrency`:', function (done) {
+    var active = 0;
+    var max = 0;
+
+    template.addHelperAsync('wait', function (str, next) {
+      active++;
+      max = Math.max(max, active);
+      setTimeout(function () {
+        active--;
+        next(null, str);
+      }, 5);
+    });
+
+    ['a', 'b', 'c', 'd', 'e'].forEach(function (name) {
+      template.page(name + '.md', '<%= wait("' + name + '") %>');
+    });
+
+    template.renderType('pages', {}, {concurrency: 2}, function (err, res) {
+      if (err) return done(err);
+      Object.keys(res.content).should.have.length(5);
+      res.content['c.md'].should.equal('c');
+      max.should.equal(2);
+      done();
+    });
+  });
+
+  it('should pass an error when the type is not renderable:', function (done) {
+    template.renderType('partials', function (err) {
+      err.message.should.match(/not a renderable template type/);
+      done();
+    });
+  });
+});
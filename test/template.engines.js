@@ -148,6 +148,32 @@ describe('engines', function() {
   });
 
 
+  describe('when the same engine object is registered more than once', function() {
+    var engine = require('engine-lodash');
+
+    it('should register a copy of the engine.', function() {
+      template.engine('a', engine);
+      template.getEngine('a').should.not.equal(engine);
+      template.getEngine('a').render.should.not.equal(engine.render);
+      engine.should.not.have.property('helpers');
+    });
+
+    it('should not share helpers between extensions or instances.', function() {
+      var other = new Template();
+      template.engine('a', engine);
+      template.engine('b', engine);
+      other.engine('a', engine);
+
+      template.helpers('a').addHelper('upper', function (str) {
+        return str.toUpperCase();
+      });
+
+      template.getEngine('a').helpers.should.have.property('upper');
+      template.getEngine('b').helpers.should.not.have.property('upper');
+      other.getEngine('a').helpers.should.not.have.property('upper');
+    });
+  });
+
   describe('.getEngine()', function() {
     it('should get an engine.', function() {
       template.engine('a', {
@@ -116,28 +116,66 @@ describe('template partial', function () {
     });
   });
 
-  // describe('context', function () {
-  //   it.only('should prefer helper locals over method locals.', function () {
-  //     var template = new Template();
-  //     template.partials('alert.md', '---\nlayout: href\ntitle: partial yfm data\n---\n<%= title %>.', {title: 'partial locals'});
-  //     template.page('home.md', '---\ntitle: Baz\nlayout: page yfm data\n---\n<%= title %>.\n<%= partial("alert.md", {title: "helper locals"}) %>', {title: 'page locals'});
-
-  //     template.renderSync('home.md', {title: 'render locals'}).should.equal('foo');
-  //   });
-
-  //   // it('should prefer helper locals over method locals.', function () {
-  //   //   var template = new Template();
-  //   //   template.partials('alert.md', '---\nlayout: href\ntitle: Foo\n---\nThis is <%= title %>.');
-  //   //   template.page('home.md', '---\ntitle: Baz\nlayout: default\n---\nThis is <%= title %>.\n<%= partial("alert.md", {title: "Fez"}) %>');
-
-  //   //   console.log(template.getPartial('link.md'));
-  //   //   var content = template.renderSync('home.md');
-  //   //   console.log('content:', content);
-
-  //   //   // template.cache.partials.should.have.property('a.md');
-  //   //   // template.cache.partials['a.md'].should.have.property('content', 'This is content.');
-  //   // });
-  // });
+  describe('context', function () {
+    var template;
+
+    beforeEach(function () {
+      template = new Template();
+      template.data({title: 'data'});
+      template.partials('alert.md', '---\ntitle: partial yfm data\n---\n<%= title %>.', {title: 'partial locals'});
+      template.page('home.md', '---\ntitle: page yfm data\n---\n<%= partial("alert.md", {title: "helper locals"}) %>', {title: 'page locals'});
+    });
+
+    it('should prefer helper locals over partial front matter and locals.', function () {
+      template.renderSync('home.md', {title: 'render locals'}).should.equal('helper locals.');
+    });
+
+    it('should prefer partial front matter over partial locals.', function () {
+      template.page('about.md', '<%= partial("alert.md") %>');
+      template.renderSync('about.md', {title: 'render locals'}).should.equal('partial yfm data.');
+    });
+
+    it('should prefer partial locals over front matter when `preferLocals` is true.', function () {
+      template.option('preferLocals', true);
+      template.page('about.md', '<%= partial("alert.md") %>');
+      template.renderSync('about.md').should.equal('partial locals.');
+    });
+
+    it('should use helper locals as defaults when `preferHelperLocals` is false.', function () {
+      template.option('preferHelperLocals', false);
+      template.partials('note.md', '<%= title %> <%= type %>.');
+      template.page('about.md', '<%= partial("alert.md", {title: "helper locals"}) %> <%= partial("note.md", {title: "a", type: "b"}) %>');
+      template.renderSync('about.md').should.equal('partial yfm data. a b.');
+    });
+
+    it('should not use the context of the page.', function () {
+      template.partials('note.md', '<%= title %>');
+      template.page('about.md', '<%= partial("note.md") %>', {title: 'page locals'});
+      template.renderSync('about.md', {title: 'render locals'}).should.equal('data');
+    });
+
+    it('should not modify the cached partial.', function () {
+      var cached = template.cache.partials['alert.md'];
+      var before = JSON.stringify(cached);
+
+      template.renderSync('home.md');
+      template.renderSync('home.md').should.equal('helper locals.');
+      JSON.stringify(template.cache.partials['alert.md']).should.equal(before);
+      template.cache.partials['alert.md'].should.equal(cached);
+    });
+
+    it('should not modify the cached partial with async helpers.', function (done) {
+      var before = JSON.stringify(template.cache.partials['alert.md']);
+      template.page('about.md', '<%= partialAsync("alert.md", {title: "helper locals"}) %>');
+
+      template.render('about.md', function (err, content) {
+        if (err) return done(err);
+        content.should.equal('helper locals.');
+        JSON.stringify(template.cache.partials['alert.md']).should.equal(before);
+        done();
+      });
+    });
+  });
 
   describe('when a partial has a layout defined:', function () {
     it('should parse the partial sync.', function () {
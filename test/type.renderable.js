@@ -37,13 +37,15 @@ describe('custom `renderable` types:', function () {
     template.page('f.hbs', '<title>{{author}}</title>', {author: 'Jon Schlinkert'});
     template.page('g.md', '---\nauthor: Brian Woodward\n---\n<title>{{author}}</title>', {author: 'Jon Schlinkert'});
 
-    forOwn(template.cache.pages, function (value, key) {
-      template.render(key, function (err, content) {
-        if (err) console.log(err);
+    template.renderType('pages', function (err, res) {
+      if (err) return done(err);
+      res.errors.should.eql({});
+      Object.keys(res.content).should.have.length(7);
+      forOwn(res.content, function (content) {
         content.should.equal('<title>Jon Schlinkert</title>');
       });
+      done();
     });
-    done();
   });
 
   it('should prefer front-matter data over locals:', function (done) {
@@ -52,13 +54,11 @@ describe('custom `renderable` types:', function () {
 
     template.page('fixture.md', '---\nauthor: Brian Woodward\n---\n<title>{{author}}</title>', {author: 'Jon Schlinkert'});
 
-    forOwn(template.cache.pages, function (value, key) {
-      template.render(key, function (err, content) {
-        if (err) console.log(err);
-        content.should.equal('<title>Jon Schlinkert</title>');
-      });
+    template.renderType('pages', function (err, res) {
+      if (err) return done(err);
+      res.content['fixture.md'].should.equal('<title>Jon Schlinkert</title>');
+      done();
     });
-    done();
   });
 
   describe('when custom template types are passed to a built-in engine:', function () {
@@ -92,13 +92,11 @@ describe('custom `renderable` types:', function () {
         author: 'Jon Schlinkert'
       });
 
-      forOwn(template.cache.posts, function(value, key) {
-        template.render(key, function (err, content) {
-          if (err) console.log(err);
-          content.should.equal('<title>Jon Schlinkert</title>\n<nav>sidebar stuff...bfoo</nav>');
-        });
+      template.renderType('posts', function (err, res) {
+        if (err) return done(err);
+        res.content['2014-08-31.md'].should.equal('<title>Jon Schlinkert</title>\n<nav>sidebar stuff...bfoo</nav>');
+        done();
       });
-      done();
     });
   });
 });